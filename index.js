@@ -7,7 +7,7 @@
  * - Respects user's tokenizer settings (BEST_MATCH, model-specific, etc.)
  */
 
-import { eventSource, event_types, main_api, streamingProcessor, saveSettingsDebounced } from '../../../../script.js';
+import { eventSource, event_types, main_api, streamingProcessor, saveSettingsDebounced, getRequestHeaders, stopGeneration } from '../../../../script.js';
 import { extension_settings, getContext } from '../../../extensions.js';
 import { getTokenCountAsync, getFriendlyTokenizerName } from '../../../tokenizers.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
@@ -15,6 +15,9 @@ import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.j
 import { SlashCommandArgument } from '../../../slash-commands/SlashCommandArgument.js';
 import { getChatCompletionModel, oai_settings } from '../../../openai.js';
 import { textgenerationwebui_settings as textgen_settings } from '../../../textgen-settings.js';
+import { user_avatar } from '../../../personas.js';
+import { timestampToMoment } from '../../../utils.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
 
 const extensionName = 'token-usage-tracker';
 
@@ -114,11 +117,18 @@ function getCurrentEasternTime() {
 const defaultSettings = {
     showInTopBar: true,
     modelColors: {}, // { "gpt-4o": "#6366f1", "claude-3-opus": "#8b5cf6", ... }
-    // Prices per 1M tokens: { "gpt-4o": { in: 2.5, out: 10 }, ... }
+    featureColors: {}, // { "Summarize": "#10b981", ... }
+    // Prices per 1M tokens: { "gpt-4o": { in: 2.5, out: 10, cacheRead: 1.25, cacheWrite: null }, ... }
+    // Cache prices left null fall back to the regular input price
     modelPrices: {},
+    // Learned tokenizer correction per model: decayed sums of provider-reported vs locally estimated tokens
+    // { "gpt-4o": { input: { reported: X, estimated: Y }, output: { reported: X, estimated: Y }, samples: N }, ... }
+    tokenizerCalibration: {},
+    // Context window per model in tokens, set by hand: { "gpt-4o": 128000, ... } (OpenRouter's list fills the rest)
+    modelContextLengths: {},
     // OpenRouter auto-fetched pricing cache
     openRouterPrices: {
-        data: {},         // { "model-id": { prompt: X, completion: Y } } - per-token pricing
+        data: {},         // { "model-id": { prompt: X, completion: Y, cacheRead: Z, cacheWrite: W, contextLength: N } } - per-token pricing
         lastFetched: null // Timestamp of last API fetch
     },
     // Miniview settings
@@ -143,6 +153,42 @@ const defaultSettings = {
         byModel: {},
         // Per-source usage: { "openai": { input: X, output: Y, total: Z, messageCount: N }, ... }
         bySource: {},
+        // Per-connection-profile usage (keyed by profile name), with per-model breakdown for cost
+        byProfile: {},
+        // Per-feature usage - which part of SillyTavern or which extension made the request
+        byFeature: {},
+        // Per-generation-type usage (normal, swipe, regenerate, continue, quiet, impersonate, ...)
+        byType: {},
+        // Per-character usage across all of that character's chats (keyed by avatar file, with display name)
+        byCharacter: {},
+        // Per-group usage (keyed by group ID, with display name and per-member breakdown)
+        byGroup: {},
+        // Per-persona usage (keyed by persona avatar, with display name)
+        byPersona: {},
+        // Per-World-Info-entry usage (keyed by "world/uid"): activations, injected tokens, per-model input for cost
+        byWorldInfo: {},
+        // The append-only ledger of generation records the buckets above are derived from lives in
+        // IndexedDB (see loadLedger), so it isn't rewritten into settings.json on every save
+        // Earliest point the ledger covers (older buckets were recorded before it existed or were trimmed)
+        ledgerStartedAt: null,
+    },
+    // Oldest ledger records are trimmed beyond this count (aggregates are kept, but records-mode rebuilds no longer reach back past the trim)
+    ledgerMaxRecords: 20000,
+    // Estimate shown next to the send button; a request above either threshold asks for confirmation (0 = never)
+    sendEstimate: {
+        enabled: true,
+        // Rebuild the prompt as a dry run after every chat or connection change. Off by default: a dry
+        // run also runs World Info and other extensions' prompt hooks, which may make paid calls
+        autoRefresh: false,
+        confirmCost: 0,   // Dollars, input plus output at max tokens
+        confirmTokens: 0, // Input plus max output tokens
+    },
+    // Show each reply's recorded tokens and cost on its chat message
+    messageBadges: true,
+    // Warn when a chat's last `window` requests all filled more than `threshold` percent of the context window (0 = off)
+    contextAlert: {
+        threshold: 80,
+        window: 5,
     },
 };
 
@@ -157,6 +203,7 @@ function loadSettings() {
     // Deep merge defaults for any missing keys
     const settings = extension_settings[extensionName];
     if (!settings.modelColors) settings.modelColors = {};
+    if (!settings.featureColors) settings.featureColors = {};
     if (!settings.usage) settings.usage = structuredClone(defaultSettings.usage);
     if (!settings.usage.session) settings.usage.session = structuredClone(defaultSettings.usage.session);
     if (!settings.usage.allTime) settings.usage.allTime = structuredClone(defaultSettings.usage.allTime);
@@ -167,9 +214,24 @@ function loadSettings() {
     if (!settings.usage.byChat) settings.usage.byChat = {};
     if (!settings.usage.byModel) settings.usage.byModel = {};
     if (!settings.usage.bySource) settings.usage.bySource = {};
+    if (!settings.usage.byProfile) settings.usage.byProfile = {};
+    if (!settings.usage.byFeature) settings.usage.byFeature = {};
+    if (!settings.usage.byType) settings.usage.byType = {};
+    if (!settings.usage.byCharacter) settings.usage.byCharacter = {};
+    if (!settings.usage.byGroup) settings.usage.byGroup = {};
+    if (!settings.usage.byPersona) settings.usage.byPersona = {};
+    if (!settings.usage.byWorldInfo) settings.usage.byWorldInfo = {};
+    if (!settings.usage.ledgerStartedAt) settings.usage.ledgerStartedAt = getCurrentEasternTime().toISOString();
+    if (!settings.ledgerMaxRecords) settings.ledgerMaxRecords = defaultSettings.ledgerMaxRecords;
+    if (!settings.sendEstimate) settings.sendEstimate = structuredClone(defaultSettings.sendEstimate);
+    if (settings.sendEstimate.autoRefresh === undefined) settings.sendEstimate.autoRefresh = defaultSettings.sendEstimate.autoRefresh;
 
     // Initialize modelPrices
     if (!settings.modelPrices) settings.modelPrices = {};
+    if (!settings.tokenizerCalibration) settings.tokenizerCalibration = {};
+    if (!settings.modelContextLengths) settings.modelContextLengths = {};
+    if (!settings.contextAlert) settings.contextAlert = structuredClone(defaultSettings.contextAlert);
+    if (settings.messageBadges === undefined) settings.messageBadges = defaultSettings.messageBadges;
 
     // Migration: Convert byDay.models from numeric format to object format
     // Old: models[modelId] = totalTokens (number)
@@ -266,25 +328,127 @@ function getMonthKey(date = getCurrentEasternTime()) {
     return `${year}-${String(month).padStart(2, '0')}`;
 }
 
+/** Most token counts kept in the memo before the least recently used are dropped */
+const TOKEN_COUNT_CACHE_LIMIT = 10000;
+
+/** Texts tokenized at once by a batch (SillyTavern's tokenizers mostly run on its server) */
+const TOKEN_COUNT_CONCURRENCY = 8;
+
+/**
+ * Token counts memoized by tokenizer and content hash, so unchanged chat history is never re-tokenized.
+ * Holds the pending promise while a count is in flight, so concurrent requests for the same text share it.
+ * @type {Map<string, number|Promise<number>>}
+ */
+const tokenCountCache = new Map();
+
+/**
+ * 53-bit string hash (cyrb53). Fast, and collisions are negligible for memo keys (length is part of the key too).
+ * @param {string} str
+ * @param {number} [seed]
+ * @returns {number}
+ */
+function cyrb53(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Memo key of a text for the tokenizer currently in use
+ * @param {string} text
+ * @param {number} hash - cyrb53 hash of the text
+ * @returns {string}
+ */
+function getTokenCountCacheKey(text, hash) {
+    let tokenizer = String(main_api);
+    try {
+        tokenizer += `:${getFriendlyTokenizerName(main_api).tokenizerId}`;
+    } catch (e) {
+        // Tokenizer info unavailable - the API alone still separates most tokenizers
+    }
+    return `${tokenizer}:${text.length}:${hash}`;
+}
+
 /**
- * Count tokens using SillyTavern's native tokenizer (async, non-blocking)
+ * Count tokens using SillyTavern's native tokenizer (async, non-blocking), memoized by content
  * @param {string} text - Text to tokenize
+ * @param {number} [hash] - Precomputed cyrb53 hash of the text
  * @returns {Promise<number>} Token count
  */
-async function countTokens(text) {
+async function countTokens(text, hash = undefined) {
     if (!text || typeof text !== 'string') return 0;
 
-    try {
+    const key = getTokenCountCacheKey(text, hash ?? cyrb53(text));
+    let entry = tokenCountCache.get(key);
+    if (entry !== undefined) {
+        // Move to the end so the least recently used counts are dropped first
+        tokenCountCache.delete(key);
+    } else {
         // Use async count exclusively to avoid blocking the main thread
         // getTextTokens() can make synchronous XMLHttpRequests which freeze the UI
-        return await getTokenCountAsync(text);
+        entry = getTokenCountAsync(text);
+    }
+    tokenCountCache.set(key, entry);
+    if (tokenCountCache.size > TOKEN_COUNT_CACHE_LIMIT) {
+        tokenCountCache.delete(tokenCountCache.keys().next().value);
+    }
+
+    try {
+        const count = await entry;
+        if (tokenCountCache.get(key) === entry) tokenCountCache.set(key, count);
+        return count;
     } catch (error) {
         console.error('[Token Usage Tracker] Error counting tokens:', error);
+        // Don't memoize failures - the next request retries the tokenizer
+        if (tokenCountCache.get(key) === entry) tokenCountCache.delete(key);
         // Ultimate fallback: character-based estimate
         return Math.ceil(text.length / 3.35);
     }
 }
 
+/**
+ * Count many texts at once: duplicates are counted once, memoized texts are not re-tokenized,
+ * and the rest are tokenized in parallel instead of one after another. Everything here, hashing
+ * included, runs on the UI thread; tokenizing is left to SillyTavern, whose tokenizers can't run
+ * in a Web Worker.
+ * @param {string[]} texts
+ * @returns {Promise<number[]>} Token count of each text, in order
+ */
+async function countTokensBatch(texts) {
+    const counts = new Array(texts.length).fill(0);
+    const indexes = texts.map((text, i) => i).filter(i => typeof texts[i] === 'string' && texts[i]);
+    if (indexes.length === 0) return counts;
+
+    const hashes = indexes.map(i => cyrb53(texts[i]));
+    const unique = new Map();
+    indexes.forEach((textIndex, i) => {
+        const dedupeKey = `${texts[textIndex].length}:${hashes[i]}`;
+        if (!unique.has(dedupeKey)) unique.set(dedupeKey, { text: texts[textIndex], hash: hashes[i], targets: [] });
+        unique.get(dedupeKey).targets.push(textIndex);
+    });
+
+    const jobs = [...unique.values()];
+    let next = 0;
+    const runJobs = async () => {
+        while (next < jobs.length) {
+            const job = jobs[next++];
+            const count = await countTokens(job.text, job.hash);
+            for (const target of job.targets) counts[target] = count;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(TOKEN_COUNT_CONCURRENCY, jobs.length) }, runJobs));
+    return counts;
+}
+
 /**
  * Get the current model ID based on the active API
  * @returns {string} Model identifier
@@ -324,6 +488,37 @@ function getCurrentSourceId() {
     return main_api || 'unknown';
 }
 
+/**
+ * Look up a Connection Manager profile and the model/source it points at
+ * @param {string} profileId - Connection profile ID
+ * @returns {{profileId: string, profileName: string, modelId: string|null, sourceId: string|null}|null}
+ *   null if the profile can't be found
+ */
+function getConnectionProfileInfo(profileId) {
+    if (!profileId) return null;
+
+    const profiles = extension_settings.connectionManager?.profiles;
+    const profile = Array.isArray(profiles) ? profiles.find(p => p?.id === profileId) : null;
+    if (!profile) return null;
+
+    // Profiles store the /api name (e.g. 'openrouter', 'claude', 'koboldcpp'); map it to the
+    // main API and chat completion source the same way getCurrentSourceId() reports them
+    let sourceId = null;
+    const apiInfo = getContext()?.CONNECT_API_MAP?.[profile.api];
+    if (apiInfo) {
+        sourceId = apiInfo.selected === 'openai' ? (apiInfo.source || 'openai') : apiInfo.selected;
+    } else if (profile.api) {
+        sourceId = profile.mode === 'tc' ? 'textgenerationwebui' : profile.api;
+    }
+
+    return {
+        profileId,
+        profileName: profile.name || profileId,
+        modelId: profile.model || null,
+        sourceId,
+    };
+}
+
 // OpenRouter pricing cache duration (24 hours in ms)
 const OPENROUTER_CACHE_DURATION = 24 * 60 * 60 * 1000;
 
@@ -359,7 +554,10 @@ async function fetchOpenRouterPricing() {
             if (model.id && model.pricing) {
                 pricingData[model.id] = {
                     prompt: model.pricing.prompt || '0',
-                    completion: model.pricing.completion || '0'
+                    completion: model.pricing.completion || '0',
+                    cacheRead: model.pricing.input_cache_read || null,
+                    cacheWrite: model.pricing.input_cache_write || null,
+                    contextLength: Number(model.context_length) || null
                 };
             }
         }
@@ -411,139 +609,190 @@ async function maybeAutoFetchOpenRouterPricing() {
 }
 
 /**
- * Record token usage into all relevant buckets
- * @param {number} inputTokens - Tokens in the user message
- * @param {number} outputTokens - Tokens in the AI response (excluding reasoning)
- * @param {string} [chatId] - Optional chat ID for per-chat tracking
- * @param {string} [modelId] - Optional model ID for per-model tracking
- * @param {string} [sourceId] - Optional source ID for per-source tracking
- * @param {number} [reasoningTokens] - Optional reasoning/thinking tokens (Claude, o1, etc.)
+ * Add one generation's tokens into a usage bucket
+ * @param {Object} bucket - Bucket to update (created fields default to 0)
+ * @param {{input: number, output: number, reasoning: number, cacheRead: number, cacheWrite: number, total: number}} tokens
+ * @param {boolean} [isReported] - Whether the counts came from the provider's usage report
+ * @param {number} [sign] - 1 to add, -1 to subtract (used when voiding a record)
  */
-function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null, sourceId = null, reasoningTokens = 0) {
-    const settings = getSettings();
-    const usage = settings.usage;
-    const now = getCurrentEasternTime();
-    const totalTokens = inputTokens + outputTokens + reasoningTokens;
-
-    const addTokens = (bucket) => {
-        bucket.input = (bucket.input || 0) + inputTokens;
-        bucket.output = (bucket.output || 0) + outputTokens;
-        bucket.reasoning = (bucket.reasoning || 0) + reasoningTokens;
-        bucket.total = (bucket.total || 0) + totalTokens;
-        bucket.messageCount = (bucket.messageCount || 0) + 1;
+function addTokensToBucket(bucket, tokens, isReported = false, sign = 1) {
+    bucket.input = (bucket.input || 0) + sign * tokens.input;
+    bucket.output = (bucket.output || 0) + sign * tokens.output;
+    bucket.reasoning = (bucket.reasoning || 0) + sign * tokens.reasoning;
+    bucket.total = (bucket.total || 0) + sign * tokens.total;
+    bucket.messageCount = (bucket.messageCount || 0) + sign;
+    if (tokens.cacheRead) {
+        bucket.cacheRead = (bucket.cacheRead || 0) + sign * tokens.cacheRead;
+    }
+    if (tokens.cacheWrite) {
+        bucket.cacheWrite = (bucket.cacheWrite || 0) + sign * tokens.cacheWrite;
+    }
+    if (isReported) {
+        bucket.reportedCount = (bucket.reportedCount || 0) + sign;
+    }
+}
+
+/**
+ * Add tokens into a keyed child bucket (e.g. bucket.models[modelId]), creating it if needed
+ * @param {Object} parent - Parent bucket
+ * @param {string} mapName - Name of the child map ('models', 'sources', ...)
+ * @param {string} key - Child key
+ * @param {Object} tokens - Tokens as passed to addTokensToBucket
+ * @param {boolean} [isReported]
+ * @param {number} [sign]
+ * @returns {Object} The child bucket
+ */
+function addTokensToChild(parent, mapName, key, tokens, isReported = false, sign = 1) {
+    if (!parent[mapName]) parent[mapName] = {};
+    if (!parent[mapName][key]) parent[mapName][key] = { input: 0, output: 0, total: 0 };
+    addTokensToBucket(parent[mapName][key], tokens, isReported, sign);
+    return parent[mapName][key];
+}
+
+/**
+ * Apply a failed request to the aggregates: failure counts and possibly billed input only, no token totals.
+ * Covers the same buckets as applyRecordToUsage, so every breakdown agrees on error counts.
+ * @param {Object} usage - settings.usage (or a scratch copy when rebuilding)
+ * @param {Object} record - Failed generation record
+ * @param {number} sign - 1 to add the record, -1 to remove it
+ * @param {boolean} [includeSession] - Also apply to the current session bucket
+ */
+function applyFailedRecordToUsage(usage, record, sign, includeSession = false) {
+    const date = new Date(record.timestamp);
+    const { chatId, modelId, sourceId, feature, type, characterId, groupId, personaId, profileName } = record;
+    const addFailure = (bucket) => {
+        bucket.failedCount = (bucket.failedCount || 0) + sign;
+        bucket.possiblyBilledInput = (bucket.possiblyBilledInput || 0) + sign * (record.possiblyBilledInput || 0);
+    };
+    // Buckets are created with the same shape applyRecordToUsage gives them
+    const addToMap = (mapName, key, emptyBucket) => {
+        if (!usage[mapName]) usage[mapName] = {};
+        if (!usage[mapName][key]) usage[mapName][key] = emptyBucket;
+        addFailure(usage[mapName][key]);
+        return usage[mapName][key];
+    };
+
+    if (includeSession) addFailure(usage.session);
+    addFailure(usage.allTime);
+
+    addToMap('byDay', getDayKey(date), { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, sources: {} });
+    addToMap('byHour', getHourKey(date), { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, sources: {} });
+    addToMap('byWeek', getWeekKey(date), { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 });
+    addToMap('byMonth', getMonthKey(date), { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 });
+    if (chatId) addToMap('byChat', chatId, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+    if (modelId) addToMap('byModel', modelId, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 });
+    if (sourceId) addToMap('bySource', sourceId, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 });
+    if (profileName) addToMap('byProfile', profileName, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+    if (feature) addToMap('byFeature', feature, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+    if (type) addToMap('byType', type, { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+    if (characterId) {
+        const characterData = addToMap('byCharacter', characterId, { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+        if (record.characterName) characterData.name = record.characterName;
+    }
+    if (groupId) {
+        const groupData = addToMap('byGroup', groupId, { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, characters: {} });
+        if (record.groupName) groupData.name = record.groupName;
+    }
+    if (personaId) {
+        const personaData = addToMap('byPersona', personaId, { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} });
+        if (record.personaName) personaData.name = record.personaName;
+    }
+}
+
+/**
+ * Apply a generation record to the aggregate buckets (byDay, byHour, byChat, byModel, ...).
+ * The buckets are derived views of the ledger - this is the only place that writes to them.
+ * @param {Object} usage - settings.usage (or a scratch copy when rebuilding)
+ * @param {Object} record - Generation record from the ledger
+ * @param {Object} [options]
+ * @param {number} [options.sign] - 1 to add the record, -1 to remove it
+ * @param {boolean} [options.includeSession] - Also apply to the current session bucket
+ */
+function applyRecordToUsage(usage, record, { sign = 1, includeSession = false } = {}) {
+    if (record.status === 'failed') {
+        applyFailedRecordToUsage(usage, record, sign, includeSession);
+        return;
+    }
+
+    const date = new Date(record.timestamp);
+    const { chatId, modelId, sourceId, feature, type, characterId, groupId, personaId } = record;
+    const isReported = record.reported === true;
+    const tokens = {
+        input: record.input || 0,
+        output: record.output || 0,
+        reasoning: record.reasoning || 0,
+        cacheRead: record.cacheRead || 0,
+        cacheWrite: record.cacheWrite || 0,
+        total: record.total || 0,
     };
 
-    // Session
-    addTokens(usage.session);
+    const addTokens = (bucket) => addTokensToBucket(bucket, tokens, isReported, sign);
+    const addChild = (parent, mapName, key) => addTokensToChild(parent, mapName, key, tokens, isReported, sign);
 
-    // Track model within session for accurate cost calculation
-    if (modelId) {
-        if (!usage.session.models) usage.session.models = {};
-        if (!usage.session.models[modelId]) {
-            usage.session.models[modelId] = { input: 0, output: 0, total: 0 };
-        }
-        usage.session.models[modelId].input += inputTokens;
-        usage.session.models[modelId].output += outputTokens;
-        usage.session.models[modelId].total += totalTokens;
+    // Session (with per-model breakdown for accurate cost calculation)
+    if (includeSession) {
+        addTokens(usage.session);
+        if (modelId) addChild(usage.session, 'models', modelId);
     }
 
     // All-time
     addTokens(usage.allTime);
 
-    // By day
-    const dayKey = getDayKey(now);
+    // By day - models for the stacked chart and cost, sources (with their own models) for filtering
+    const dayKey = getDayKey(date);
     if (!usage.byDay[dayKey]) usage.byDay[dayKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, sources: {} };
     addTokens(usage.byDay[dayKey]);
-
-    // Track model within day for stacked chart (with input/output breakdown for cost calculation)
-    if (modelId) {
-        if (!usage.byDay[dayKey].models) usage.byDay[dayKey].models = {};
-        if (!usage.byDay[dayKey].models[modelId]) {
-            usage.byDay[dayKey].models[modelId] = { input: 0, output: 0, total: 0 };
-        }
-        const modelData = usage.byDay[dayKey].models[modelId];
-        modelData.input += inputTokens;
-        modelData.output += outputTokens;
-        modelData.total += totalTokens;
-    }
-
-    // Track source within day for filtering
+    if (modelId) addChild(usage.byDay[dayKey], 'models', modelId);
     if (sourceId) {
-        if (!usage.byDay[dayKey].sources) usage.byDay[dayKey].sources = {};
-        if (!usage.byDay[dayKey].sources[sourceId]) {
-            usage.byDay[dayKey].sources[sourceId] = { input: 0, output: 0, total: 0, models: {} };
-        }
-        const sourceData = usage.byDay[dayKey].sources[sourceId];
-        sourceData.input += inputTokens;
-        sourceData.output += outputTokens;
-        sourceData.total += totalTokens;
-
-        // Also track model within source for the day (for filtered chart stacking)
-        if (modelId) {
-            if (!sourceData.models) sourceData.models = {};
-            if (!sourceData.models[modelId]) {
-                sourceData.models[modelId] = { input: 0, output: 0, total: 0 };
-            }
-            sourceData.models[modelId].input += inputTokens;
-            sourceData.models[modelId].output += outputTokens;
-            sourceData.models[modelId].total += totalTokens;
-        }
+        const sourceData = addChild(usage.byDay[dayKey], 'sources', sourceId);
+        if (modelId) addChild(sourceData, 'models', modelId);
+    }
+    if (feature) addChild(usage.byDay[dayKey], 'features', feature);
+    if (type) addChild(usage.byDay[dayKey], 'types', type);
+    if (characterId) addChild(usage.byDay[dayKey], 'characters', characterId);
+    if (groupId) addChild(usage.byDay[dayKey], 'groups', groupId);
+    if (personaId) {
+        const personaData = addChild(usage.byDay[dayKey], 'personas', personaId);
+        if (modelId) addChild(personaData, 'models', modelId);
     }
 
     // By hour
-    const hourKey = getHourKey(now);
+    const hourKey = getHourKey(date);
     if (!usage.byHour[hourKey]) usage.byHour[hourKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, sources: {} };
     addTokens(usage.byHour[hourKey]);
-
-    // Track model within hour for cost calculation
-    if (modelId) {
-        if (!usage.byHour[hourKey].models) usage.byHour[hourKey].models = {};
-        if (!usage.byHour[hourKey].models[modelId]) {
-            usage.byHour[hourKey].models[modelId] = { input: 0, output: 0, total: 0 };
-        }
-        const hourModelData = usage.byHour[hourKey].models[modelId];
-        hourModelData.input += inputTokens;
-        hourModelData.output += outputTokens;
-        hourModelData.total += totalTokens;
-    }
-
-    // Track source within hour for filtering
-    if (sourceId) {
-        if (!usage.byHour[hourKey].sources) usage.byHour[hourKey].sources = {};
-        if (!usage.byHour[hourKey].sources[sourceId]) {
-            usage.byHour[hourKey].sources[sourceId] = { input: 0, output: 0, total: 0 };
-        }
-        const hourSourceData = usage.byHour[hourKey].sources[sourceId];
-        hourSourceData.input += inputTokens;
-        hourSourceData.output += outputTokens;
-        hourSourceData.total += totalTokens;
+    if (modelId) addChild(usage.byHour[hourKey], 'models', modelId);
+    if (sourceId) addChild(usage.byHour[hourKey], 'sources', sourceId);
+    if (feature) addChild(usage.byHour[hourKey], 'features', feature);
+    if (type) addChild(usage.byHour[hourKey], 'types', type);
+    if (characterId) addChild(usage.byHour[hourKey], 'characters', characterId);
+    if (groupId) addChild(usage.byHour[hourKey], 'groups', groupId);
+    if (personaId) {
+        const personaData = addChild(usage.byHour[hourKey], 'personas', personaId);
+        if (modelId) addChild(personaData, 'models', modelId);
     }
 
     // By week
-    const weekKey = getWeekKey(now);
+    const weekKey = getWeekKey(date);
     if (!usage.byWeek[weekKey]) usage.byWeek[weekKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
     addTokens(usage.byWeek[weekKey]);
 
     // By month
-    const monthKey = getMonthKey(now);
+    const monthKey = getMonthKey(date);
     if (!usage.byMonth[monthKey]) usage.byMonth[monthKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
     addTokens(usage.byMonth[monthKey]);
 
-    // By chat
+    // By chat (with per-model breakdown for cost calculation)
     if (chatId) {
         if (!usage.byChat[chatId]) usage.byChat[chatId] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
         addTokens(usage.byChat[chatId]);
-
-        // Track model within chat for cost calculation
-        if (modelId) {
-            if (!usage.byChat[chatId].models) usage.byChat[chatId].models = {};
-            if (!usage.byChat[chatId].models[modelId]) {
-                usage.byChat[chatId].models[modelId] = { input: 0, output: 0, total: 0 };
+        if (modelId) addChild(usage.byChat[chatId], 'models', modelId);
+        if (type) addChild(usage.byChat[chatId], 'types', type);
+        if (personaId) addChild(usage.byChat[chatId], 'personas', personaId);
+        if (record.composition) {
+            const chatComposition = usage.byChat[chatId].composition || (usage.byChat[chatId].composition = {});
+            for (const [section, tokens] of Object.entries(record.composition)) {
+                chatComposition[section] = (chatComposition[section] || 0) + sign * tokens;
             }
-            const chatModelData = usage.byChat[chatId].models[modelId];
-            chatModelData.input += inputTokens;
-            chatModelData.output += outputTokens;
-            chatModelData.total += totalTokens;
         }
     }
 
@@ -559,277 +808,2721 @@ function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null, s
         addTokens(usage.bySource[sourceId]);
     }
 
-    saveSettings();
+    // By connection profile (with per-model breakdown for cost calculation)
+    if (record.profileName) {
+        if (!usage.byProfile) usage.byProfile = {};
+        if (!usage.byProfile[record.profileName]) usage.byProfile[record.profileName] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        addTokens(usage.byProfile[record.profileName]);
+        if (modelId) addChild(usage.byProfile[record.profileName], 'models', modelId);
+    }
 
-    // Update health tracking timestamp
-    lastRecordedTimestamp = getCurrentEasternTime().toISOString();
+    // By feature (with per-model breakdown for cost calculation)
+    if (feature) {
+        if (!usage.byFeature) usage.byFeature = {};
+        if (!usage.byFeature[feature]) usage.byFeature[feature] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        addTokens(usage.byFeature[feature]);
+        if (modelId) addChild(usage.byFeature[feature], 'models', modelId);
+    }
 
-    // Emit custom event for UI updates
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    // By generation type
+    if (type) {
+        if (!usage.byType) usage.byType = {};
+        if (!usage.byType[type]) usage.byType[type] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        addTokens(usage.byType[type]);
+        if (modelId) addChild(usage.byType[type], 'models', modelId);
+    }
+
+    // By character (all of a character's chats together; in groups, the member who spoke)
+    if (characterId) {
+        if (!usage.byCharacter) usage.byCharacter = {};
+        if (!usage.byCharacter[characterId]) usage.byCharacter[characterId] = { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        const characterData = usage.byCharacter[characterId];
+        if (record.characterName) characterData.name = record.characterName;
+        addTokens(characterData);
+        if (modelId) addChild(characterData, 'models', modelId);
+    }
+
+    // By group (with per-model breakdown for cost and per-member breakdown)
+    if (groupId) {
+        if (!usage.byGroup) usage.byGroup = {};
+        if (!usage.byGroup[groupId]) usage.byGroup[groupId] = { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {}, characters: {} };
+        const groupData = usage.byGroup[groupId];
+        if (record.groupName) groupData.name = record.groupName;
+        addTokens(groupData);
+        if (modelId) addChild(groupData, 'models', modelId);
+        if (characterId) addChild(groupData, 'characters', characterId);
+    }
 
-    console.log(`[Token Usage Tracker] Recorded: +${inputTokens} input, +${outputTokens} output, model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'} (using ${getFriendlyTokenizerName(main_api).tokenizerName})`);
+    // By persona (with per-model breakdown for cost calculation)
+    if (personaId) {
+        if (!usage.byPersona) usage.byPersona = {};
+        if (!usage.byPersona[personaId]) usage.byPersona[personaId] = { name: null, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        const personaData = usage.byPersona[personaId];
+        if (record.personaName) personaData.name = record.personaName;
+        addTokens(personaData);
+        if (modelId) addChild(personaData, 'models', modelId);
+    }
+
+    // By World Info entry - each activation adds the entry's tokens to the input it was sent with
+    for (const entry of record.worldInfo || []) {
+        if (!usage.byWorldInfo) usage.byWorldInfo = {};
+        if (!usage.byWorldInfo[entry.key]) usage.byWorldInfo[entry.key] = { name: null, world: null, constant: false, input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0, models: {} };
+        const entryData = usage.byWorldInfo[entry.key];
+        entryData.name = entry.name || entryData.name;
+        entryData.world = entry.world || entryData.world;
+        entryData.constant = !!entry.constant;
+        if (sign > 0) entryData.lastActivatedAt = record.timestamp;
+        const entryTokens = { input: entry.tokens, output: 0, reasoning: 0, total: entry.tokens };
+        addTokensToBucket(entryData, entryTokens, false, sign);
+        if (modelId) addTokensToChild(entryData, 'models', modelId, entryTokens, false, sign);
+    }
 }
 
+/** Folder this extension is installed in, so its own stack frames are skipped when detecting callers */
+const ownExtensionFolder = decodeURIComponent(new URL('.', import.meta.url).pathname.split('/').filter(Boolean).pop() || '');
+
+/** Display names for built-in extensions, keyed by extension folder */
+const BUILTIN_FEATURE_NAMES = {
+    'memory': 'Summarize',
+    'expressions': 'Expressions',
+    'caption': 'Image Captioning',
+    'stable-diffusion': 'Image Generation',
+    'translate': 'Translate',
+    'quick-reply': 'Quick Reply',
+    'vectors': 'Vector Storage',
+    'tts': 'TTS',
+};
+
 /**
- * Reset session usage
+ * Feature declared through withFeature() for the code running right now. It is only set while
+ * synchronous code runs, so callers running concurrently never see each other's feature.
+ * @type {string|null}
  */
-function resetSession() {
-    const settings = getSettings();
-    settings.usage.session = {
-        input: 0,
-        output: 0,
-        reasoning: 0,
-        total: 0,
-        messageCount: 0,
-        models: {},
-        startTime: getCurrentEasternTime().toISOString(),
-    };
-    saveSettings();
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
-    console.log('[Token Usage Tracker] Session reset');
-}
+let synchronousFeature = null;
 
 /**
- * Reset all usage data
+ * Detect which extension (or STscript) started the current call from the JavaScript stack.
+ * Frames from before an await, timer or event are only present if the browser keeps async
+ * stacks for that case; without them no caller is identified.
+ * @returns {string|null} Feature name, or null if no caller could be identified
  */
-function resetAllUsage() {
-    const settings = getSettings();
-    settings.usage = structuredClone(defaultSettings.usage);
-    settings.usage.session.startTime = getCurrentEasternTime().toISOString();
-    saveSettings();
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
-    console.log('[Token Usage Tracker] All usage data reset');
+function detectCallerFeature() {
+    const stack = new Error().stack || '';
+    for (const line of stack.split('\n')) {
+        const match = line.match(/\/scripts\/extensions\/(?:third-party\/)?([^/]+)\//);
+        if (match) {
+            const folder = decodeURIComponent(match[1]);
+            if (folder === ownExtensionFolder) continue;
+            return BUILTIN_FEATURE_NAMES[folder] || folder;
+        }
+        if (line.includes('/scripts/slash-commands')) return 'STscript';
+    }
+    return null;
 }
 
 /**
- * Get comprehensive usage statistics
- * @returns {Object} Usage statistics object
+ * Get the feature to attribute a background call to: a declared one, else the detected caller
+ * @returns {string|null}
  */
-function getUsageStats() {
-    const settings = getSettings();
-    const usage = settings.usage;
-    const now = getCurrentEasternTime();
+function getCallerFeature() {
+    return synchronousFeature || detectCallerFeature();
+}
 
-    // Get current tokenizer info for display
-    let tokenizerInfo = { tokenizerName: 'Unknown' };
+/**
+ * Run `fn` synchronously with a declared feature. The tracking wrappers read the feature before
+ * their first await, so the call `fn` makes carries it.
+ * @param {string|null} feature
+ * @param {Function} fn
+ * @returns {*} What `fn` returns
+ */
+function runWithFeature(feature, fn) {
+    const previous = synchronousFeature;
+    synchronousFeature = feature;
     try {
-        tokenizerInfo = getFriendlyTokenizerName(main_api);
-    } catch (e) {
-        // Ignore if not available yet
+        return fn();
+    } finally {
+        synchronousFeature = previous;
     }
+}
 
-    return {
-        session: { ...usage.session },
-        allTime: { ...usage.allTime },
-        today: usage.byDay[getDayKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0, models: {} },
-        thisHour: usage.byHour[getHourKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
-        thisWeek: usage.byWeek[getWeekKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
-        thisMonth: usage.byMonth[getMonthKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
-        currentChat: null, // Will be populated if context available
-        // Metadata
-        tokenizer: tokenizerInfo.tokenizerName,
-        // Raw data for advanced aggregation
-        byDay: { ...usage.byDay },
-        byHour: { ...usage.byHour },
-        byWeek: { ...usage.byWeek },
-        byMonth: { ...usage.byMonth },
-        byChat: { ...usage.byChat },
-        byModel: { ...usage.byModel },
+/**
+ * Attribute generations to a feature. `fn` receives generation functions bound to the feature
+ * (`generateRaw`, `generateQuietPrompt` and `sendRequest` of ConnectionManagerRequestService),
+ * which carry it on each call. Calls `fn` makes directly are only attributed up to its first
+ * await; after that they fall back to the caller detected from the stack.
+ * @param {string} feature - Feature name to record (e.g. 'My Extension: lorebook tool')
+ * @param {function({generateRaw: Function, generateQuietPrompt: Function, sendRequest: Function}): *} fn - Function to run (may be async)
+ * @returns {Promise<*>} What `fn` returns
+ */
+async function withFeature(feature, fn) {
+    const tag = String(feature || '').trim() || null;
+    // The tracking wrappers are installed on SillyTavern.getContext(), not on the imported getContext
+    const trackedContext = () => window['SillyTavern']?.getContext?.() ?? getContext();
+    const scope = {
+        generateRaw: (...args) => runWithFeature(tag, () => trackedContext().generateRaw(...args)),
+        generateQuietPrompt: (...args) => runWithFeature(tag, () => trackedContext().generateQuietPrompt(...args)),
+        sendRequest: (...args) => runWithFeature(tag, () => trackedContext().ConnectionManagerRequestService.sendRequest(...args)),
     };
+    return await runWithFeature(tag, () => fn(scope));
 }
 
 /**
- * Get usage for a specific time range
- * @param {string} startDate - Start date (YYYY-MM-DD)
- * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Object} Aggregated usage for the range
+ * Feature used when a generation has no detected or declared caller
+ * @param {string|null} type - Generation type
+ * @returns {string}
  */
-function getUsageForRange(startDate, endDate) {
-    const settings = getSettings();
-    const usage = settings.usage;
-
-    const result = { input: 0, output: 0, total: 0, messageCount: 0 };
+function getDefaultFeature(type) {
+    if (type === 'impersonate') return 'Impersonate';
+    if (type === 'quiet' || type === 'raw' || type === 'background') return 'Unattributed';
+    return 'Chat';
+}
 
-    for (const [day, data] of Object.entries(usage.byDay)) {
-        if (day >= startDate && day <= endDate) {
-            result.input += data.input || 0;
-            result.output += data.output || 0;
-            result.total += data.total || 0;
-            result.messageCount += data.messageCount || 0;
-        }
+/**
+ * Get the character or group the current chat belongs to.
+ * In group chats the character is left empty: which member spoke is only known per message.
+ * @returns {{characterId: string|null, characterName: string|null, groupId: string|null, groupName: string|null}}
+ *   Character avatar file name and display name, group ID and display name
+ */
+function getCurrentCharacterInfo() {
+    const context = getContext();
+    if (context?.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        return {
+            characterId: null,
+            characterName: null,
+            groupId: String(context.groupId),
+            groupName: group?.name ?? null,
+        };
     }
 
-    return result;
+    const character = context?.characterId !== undefined ? context?.characters?.[context.characterId] : null;
+    return {
+        characterId: character?.avatar ?? null,
+        characterName: character?.name ?? null,
+        groupId: null,
+        groupName: null,
+    };
 }
 
 /**
- * Get usage for a specific chat
- * @param {string} chatId - Chat ID
- * @returns {Object} Usage for the chat
+ * Get the user persona currently in use
+ * @returns {{personaId: string|null, personaName: string|null}} Persona avatar file name and display name
  */
-function getChatUsage(chatId) {
-    const settings = getSettings();
-    return settings.usage.byChat[chatId] || { input: 0, output: 0, total: 0, messageCount: 0 };
+function getCurrentPersonaInfo() {
+    return {
+        personaId: user_avatar || null,
+        personaName: getContext()?.name1 || null,
+    };
 }
 
-function getCurrentChatId() {
-    const context = getContext();
-    return context?.chatMetadata?.chat_id
-        ?? context?.chatMetadata?.chatId
-        ?? context?.chat_id
-        ?? context?.chatId
-        ?? context?.currentChatId
-        ?? null;
-}
+/** IndexedDB database and store holding the generation ledger */
+const LEDGER_DB_NAME = 'TokenUsageTracker';
+const LEDGER_STORE = 'records';
 
-/** @type {Promise<number>|null} Promise that resolves to input token count - started early, awaited later */
-let pendingInputTokensPromise = null;
-let pendingModelId = null;
-let pendingSourceId = null;
-// For 'continue' type generations, track the pre-continue token count so we can compute the delta
-let preContinueTokenCount = 0;
-/** @type {Promise<number>|null} Promise that resolves to pre-continue token count */
-let pendingPreContinuePromise = null;
+/** The ledger, oldest first. Kept in memory and written through to IndexedDB */
+let ledgerRecords = [];
+
+/** @type {Promise<IDBDatabase>|null} */
+let ledgerDbPromise = null;
 
 /**
- * Count input tokens from the full prompt context (async helper)
- * @param {object} generate_data - The generation data containing the full prompt
- * @returns {Promise<number>} Total input token count
+ * Open the ledger database
+ * @returns {Promise<IDBDatabase>}
  */
-async function countInputTokens(generate_data) {
-    let inputTokens = 0;
-
-    if (generate_data.prompt) {
-        // For text completion APIs (kobold, novel, textgen) - prompt is a string
-        if (typeof generate_data.prompt === 'string') {
-            inputTokens = await countTokens(generate_data.prompt);
-        }
-        // For chat completion APIs (OpenAI) - prompt is an array of messages
-        else if (Array.isArray(generate_data.prompt)) {
-            for (const message of generate_data.prompt) {
-                if (message.content) {
-                    // Content can be a string or an array of content parts (for multimodal)
-                    if (typeof message.content === 'string') {
-                        inputTokens += await countTokens(message.content);
-                    } else if (Array.isArray(message.content)) {
-                        // Handle multimodal content (text + images)
-                        for (const part of message.content) {
-                            if (part.type === 'text' && part.text) {
-                                inputTokens += await countTokens(part.text);
-                            }
-                            if (part.type === 'image_url' || part.type === 'image') {
-                                // Estimate image tokens since we can't be precise without knowing the exact model arithmetic
-                                // 765 tokens is the cost of a 1024x1024 image in OpenAI high detail mode
-                                inputTokens += 765;
-                            }
-                        }
-                    }
-                }
-                // Count role tokens (~1 token per role)
-                if (message.role) {
-                    inputTokens += 1;
-                }
-                // Count name field tokens (used in function calls, tool results, etc.)
-                if (message.name) {
-                    inputTokens += await countTokens(message.name);
-                }
-                // Count tool_calls tokens (Standard OpenAI)
-                if (Array.isArray(message.tool_calls)) {
-                    for (const toolCall of message.tool_calls) {
-                        if (toolCall.function) {
-                            if (toolCall.function.name) {
-                                inputTokens += await countTokens(toolCall.function.name);
-                            }
-                            if (toolCall.function.arguments) {
-                                inputTokens += await countTokens(toolCall.function.arguments);
-                            }
-                        }
-                    }
-                }
-                // Count invocations tokens (SillyTavern internal)
-                if (Array.isArray(message.invocations)) {
-                    for (const invocation of message.invocations) {
-                        if (invocation.function) {
-                            if (invocation.function.name) {
-                                inputTokens += await countTokens(invocation.function.name);
-                            }
-                            if (invocation.function.arguments) {
-                                inputTokens += await countTokens(invocation.function.arguments);
-                            }
-                        }
-                    }
-                }
-                // Count deprecated function_call tokens
-                if (message.function_call) {
-                    if (message.function_call.name) {
-                        inputTokens += await countTokens(message.function_call.name);
-                    }
-                    if (message.function_call.arguments) {
-                        inputTokens += await countTokens(message.function_call.arguments);
-                    }
-                }
-            }
-            // Add overhead for message formatting (rough estimate: ~3 tokens per message boundary)
-            inputTokens += generate_data.prompt.length * 3;
-        }
+function openLedgerDb() {
+    if (!ledgerDbPromise) {
+        ledgerDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(LEDGER_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(LEDGER_STORE, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
-
-    return inputTokens;
+    return ledgerDbPromise;
 }
 
 /**
- * Handle GENERATE_AFTER_DATA event - start counting input tokens (non-blocking)
- * @param {object} generate_data - The generation data containing the full prompt
- * @param {boolean} dryRun - Whether this is a dry run (token counting only)
+ * Run one write transaction on the ledger store. Failures are logged - the in-memory ledger stays
+ * authoritative for this page load.
+ * @param {function(IDBObjectStore): void} write
+ * @returns {Promise<void>}
  */
-function handleGenerateAfterData(generate_data, dryRun) {
-    // Don't count dry runs - they're just for token estimation, not actual API calls
-    if (dryRun) return;
+async function writeLedgerStore(write) {
+    try {
+        const db = await openLedgerDb();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(LEDGER_STORE, 'readwrite');
+            write(transaction.objectStore(LEDGER_STORE));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error writing the ledger to IndexedDB:', e);
+    }
+}
 
-    // Capture model ID and source ID synchronously (fast)
-    pendingModelId = getCurrentModelId();
-    pendingSourceId = getCurrentSourceId();
+/**
+ * Store new or changed ledger records
+ * @param {Object[]} records
+ * @returns {Promise<void>}
+ */
+function persistLedgerRecords(records) {
+    if (records.length === 0) return Promise.resolve();
+    return writeLedgerStore(store => records.forEach(record => store.put(record)));
+}
 
-    // Start token counting but DON'T await - let it run in parallel with the API request
-    pendingInputTokensPromise = countInputTokens(generate_data)
+/**
+ * Load the ledger from IndexedDB. Ledgers from older versions, stored in the settings, are moved over.
+ * @returns {Promise<void>}
+ */
+async function loadLedger() {
+    const usage = getSettings().usage;
+    try {
+        const db = await openLedgerDb();
+        ledgerRecords = await new Promise((resolve, reject) => {
+            const request = db.transaction(LEDGER_STORE, 'readonly').objectStore(LEDGER_STORE).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (e) {
+        // Records from older versions stay in the settings until the database can be opened
+        console.error('[Token Usage Tracker] Could not open the ledger database, new records are kept for this session only:', e);
+        ledgerRecords = Array.isArray(usage.records) ? [...usage.records] : [];
+        return;
+    }
+
+    if (Array.isArray(usage.records)) {
+        const knownIds = new Set(ledgerRecords.map(record => record.id));
+        const moved = usage.records.filter(record => record?.id && !knownIds.has(record.id));
+        ledgerRecords.push(...moved);
+        await persistLedgerRecords(moved);
+        delete usage.records;
+        saveSettings();
+        console.log(`[Token Usage Tracker] Moved ${moved.length} ledger records from the settings to IndexedDB`);
+    }
+    ledgerRecords.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Get the ledger, oldest first (callers that change a record must pass it to persistLedgerRecords)
+ * @returns {Object[]}
+ */
+function getLedger() {
+    return ledgerRecords;
+}
+
+/**
+ * Empty the ledger
+ */
+function clearLedger() {
+    ledgerRecords = [];
+    openOutcomes = null;
+    writeLedgerStore(store => store.clear());
+}
+
+/**
+ * Append a record to the ledger, trimming the oldest records beyond the retention limit.
+ * Aggregates are kept when records are trimmed, so totals are unaffected.
+ * @param {Object} usage - settings.usage
+ * @param {Object} record
+ */
+function appendUsageRecord(usage, record) {
+    ledgerRecords.push(record);
+    persistLedgerRecords([record]);
+    trimUsageRecords(usage);
+}
+
+/**
+ * Drop the oldest ledger records beyond the configured maximum (aggregates keep their tokens)
+ * @param {Object} usage - settings.usage
+ */
+function trimUsageRecords(usage) {
+    const maxRecords = getSettings().ledgerMaxRecords || defaultSettings.ledgerMaxRecords;
+    if (ledgerRecords.length > maxRecords) {
+        const trimmed = ledgerRecords.splice(0, ledgerRecords.length - maxRecords);
+        writeLedgerStore(store => trimmed.forEach(record => store.delete(record.id)));
+        // The ledger no longer covers everything before its first remaining record
+        // (backfilled records can be older than the point it started at)
+        if (!usage.ledgerStartedAt || ledgerRecords[0].timestamp > usage.ledgerStartedAt) {
+            usage.ledgerStartedAt = ledgerRecords[0].timestamp;
+        }
+    }
+}
+
+/**
+ * Record token usage: append a generation record to the ledger and apply it to all buckets
+ * @param {number} inputTokens - Tokens in the user message
+ * @param {number} outputTokens - Tokens in the AI response (excluding reasoning)
+ * @param {string} [chatId] - Optional chat ID for per-chat tracking
+ * @param {string} [modelId] - Optional model ID for per-model tracking
+ * @param {string} [sourceId] - Optional source ID for per-source tracking
+ * @param {number} [reasoningTokens] - Optional reasoning/thinking tokens (Claude, o1, etc.)
+ * @param {Object} [details] - Optional extra information about the generation
+ * @param {boolean} [details.reported] - True if the counts came from the provider's `usage` report
+ * @param {{input: number, output: number, reasoning: number}} [details.estimate] - Local tokenizer estimate for the same generation
+ *   (uncalibrated); with reported counts it teaches the model's tokenizer calibration
+ * @param {{input: number, output: number}} [details.calibration] - Per-model correction factors applied to estimated counts
+ * @param {number} [details.cacheRead] - Input tokens served from the prompt cache (part of inputTokens)
+ * @param {number} [details.cacheWrite] - Input tokens written to the prompt cache (part of inputTokens)
+ * @param {string} [details.type] - Generation type ('normal', 'swipe', 'continue', 'quiet', 'impersonate', 'background', ...)
+ * @param {string} [details.profileId] - Connection profile the request was sent with
+ * @param {string} [details.profileName] - Display name of that connection profile
+ * @param {string} [details.feature] - Feature or extension that made the request (defaults by type)
+ * @param {{index: number, swipeId: number, sendDate: string}} [details.message] - Chat message and swipe the output went into
+ * @param {{characterId: string, characterName: string}} [details.character] - Character who spoke (group members), instead of the chat's character
+ * @param {string} [details.personaId] - User persona active when the request was sent (defaults to the current one)
+ * @param {string} [details.personaName] - Display name of that persona
+ * @param {Object<string, number>} [details.composition] - Input tokens per prompt section (scaled to inputTokens)
+ * @param {Array<{key: string, name: string, world: string, constant: boolean, tokens: number}>} [details.worldInfo] - World Info entries injected into the prompt
+ * @param {{status: number|null, message: string}} [details.failure] - The request failed: inputTokens are kept as
+ *   "possibly billed" input instead of being added to the totals
+ * @param {{startedAt: number, firstTokenAt: number|null, finishedAt: number}} [details.timing] - When the request was
+ *   sent, its first streamed token arrived and the response completed (epoch ms)
+ * @returns {Object} The ledger record that was created
+ */
+function recordUsage(inputTokens, outputTokens, chatId = null, modelId = null, sourceId = null, reasoningTokens = 0, details = {}) {
+    const settings = getSettings();
+    const usage = settings.usage;
+    const now = getCurrentEasternTime();
+    const isReported = details.reported === true;
+    const cacheRead = Math.min(details.cacheRead || 0, inputTokens);
+    const cacheWrite = Math.min(details.cacheWrite || 0, inputTokens);
+    const character = chatId ? getCurrentCharacterInfo() : { characterId: null, characterName: null, groupId: null, groupName: null };
+    if (chatId && details.character?.characterId) {
+        character.characterId = details.character.characterId;
+        character.characterName = details.character.characterName || null;
+    }
+    const persona = details.personaId
+        ? { personaId: details.personaId, personaName: details.personaName || null }
+        : getCurrentPersonaInfo();
+
+    const record = {
+        id: `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: now.toISOString(),
+        chatId,
+        characterId: character.characterId,
+        characterName: character.characterName,
+        groupId: character.groupId,
+        groupName: character.groupName,
+        personaId: persona.personaId,
+        personaName: persona.personaName,
+        modelId,
+        sourceId,
+        type: details.type || null,
+        profileId: details.profileId || null,
+        profileName: details.profileName || null,
+        feature: details.feature || getDefaultFeature(details.type || null),
+        input: inputTokens,
+        output: outputTokens,
+        reasoning: reasoningTokens,
+        cacheRead,
+        cacheWrite,
+        total: inputTokens + outputTokens + reasoningTokens,
+        cost: modelId ? calculateCost(inputTokens, outputTokens, modelId, cacheRead, cacheWrite) : 0,
+        reported: isReported,
+    };
+    // Keep the local estimate next to provider-reported counts so the two can be compared later,
+    // and learn from the pair once, here, for each live generation
+    if (isReported && details.estimate) {
+        record.estimate = { ...details.estimate };
+        learnTokenizerCalibration(modelId, details.estimate, { input: inputTokens, output: outputTokens, reasoning: reasoningTokens });
+    }
+    if (!isReported && details.calibration) {
+        record.calibration = { ...details.calibration };
+    }
+    // Link the output to the message/swipe it produced, so discarded swipes can be found later
+    if (details.message) {
+        record.messageIndex = details.message.index;
+        record.swipeId = details.message.swipeId;
+        record.sendDate = details.message.sendDate || null;
+        record.outcome = 'pending';
+        trackOutcome(record);
+    }
+    // Provider-reported input can differ from the local count the sections were measured against
+    const composition = scaleComposition(details.composition, inputTokens);
+    if (composition) {
+        record.composition = composition;
+    }
+    if (Array.isArray(details.worldInfo) && details.worldInfo.length > 0) {
+        record.worldInfo = details.worldInfo.map(entry => ({ ...entry }));
+    }
+    const timing = details.failure ? null : buildGenerationTiming(details.timing, outputTokens + reasoningTokens);
+    if (timing) {
+        record.timing = timing;
+    }
+    // How much of the model's context window the prompt filled
+    const contextLength = details.failure ? null : getModelContextLength(modelId);
+    if (contextLength) {
+        record.contextLength = contextLength;
+        record.utilization = Math.round((inputTokens / contextLength) * 10000) / 10000;
+    }
+    // Failed requests add nothing to the totals; their input is tracked as possibly billed
+    if (details.failure) {
+        record.status = 'failed';
+        record.error = details.failure.message || 'Request failed';
+        record.httpStatus = details.failure.status ?? null;
+        record.possiblyBilledInput = inputTokens;
+        record.possiblyBilledCost = record.cost;
+        record.input = 0;
+        record.output = 0;
+        record.reasoning = 0;
+        record.cacheRead = 0;
+        record.cacheWrite = 0;
+        record.total = 0;
+        record.cost = 0;
+    }
+
+    appendUsageRecord(usage, record);
+    applyRecordToUsage(usage, record, { includeSession: true });
+
+    saveSettings();
+
+    // Update health tracking timestamp
+    lastRecordedTimestamp = getCurrentEasternTime().toISOString();
+
+    // Emit custom event for UI updates
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+
+    if (record.status === 'failed') {
+        console.log(`[Token Usage Tracker] Recorded failed request: ${inputTokens} input possibly billed, model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'} (${record.error})`);
+        return record;
+    }
+
+    const estimateNote = isReported && details.estimate
+        ? `provider-reported; local estimate ${details.estimate.input} in, ${details.estimate.output} out`
+        : `estimated using ${getFriendlyTokenizerName(main_api).tokenizerName}`;
+    const cacheNote = cacheRead || cacheWrite ? ` (cache: ${cacheRead} read, ${cacheWrite} write)` : '';
+    console.log(`[Token Usage Tracker] Recorded: +${inputTokens} input${cacheNote}, +${outputTokens} output, model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'} (${estimateNote})`);
+
+    return record;
+}
+
+/**
+ * Void a ledger record: its tokens are subtracted from every aggregate, but the record itself
+ * stays in the ledger (flagged) so the history remains append-only.
+ * @param {string} recordId
+ * @returns {boolean} True if the record was found and voided
+ */
+function voidUsageRecord(recordId) {
+    const settings = getSettings();
+    const usage = settings.usage;
+    const record = getLedger().find(r => r.id === recordId);
+    if (!record || record.voided) return false;
+
+    const inSession = usage.session.startTime && record.timestamp >= usage.session.startTime;
+    applyRecordToUsage(usage, record, { sign: -1, includeSession: inSession });
+    record.voided = true;
+    record.voidedAt = getCurrentEasternTime().toISOString();
+    persistLedgerRecords([record]);
+
+    saveSettings();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log(`[Token Usage Tracker] Voided record ${recordId}: -${record.total} tokens`);
+    return true;
+}
+
+/**
+ * Get ledger records, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of records to return
+ * @param {string} [options.chatId] - Only records for this chat
+ * @param {boolean} [options.includeVoided] - Include voided records
+ * @returns {Object[]} Records
+ */
+function getUsageRecords({ limit = 50, chatId = null, includeVoided = true } = {}) {
+    const records = getLedger();
+    const result = [];
+    for (let i = records.length - 1; i >= 0 && result.length < limit; i--) {
+        const record = records[i];
+        if (chatId && record.chatId !== chatId) continue;
+        if (!includeVoided && record.voided) continue;
+        result.push(record);
+    }
+    return result;
+}
+
+/**
+ * Get the send date of one swipe of a message (swipes each keep their own send date)
+ * @param {Object} message - Chat message
+ * @param {number} swipeId
+ * @returns {string|null}
+ */
+function getSwipeSendDate(message, swipeId) {
+    const swipeDate = message?.swipe_info?.[swipeId]?.send_date;
+    if (swipeDate) return String(swipeDate);
+    if ((message?.swipe_id ?? 0) === swipeId && message?.send_date) return String(message.send_date);
+    return null;
+}
+
+/**
+ * Find the message and swipe a ledger record's output went into.
+ * Messages can move when earlier ones are deleted, so the send date is the identity.
+ * @param {Object[]} chat - Current chat messages
+ * @param {Object} record - Ledger record with messageIndex / swipeId / sendDate
+ * @returns {{index: number, swipeId: number}|null} null if the message or swipe no longer exists
+ */
+function locateRecordMessage(chat, record) {
+    const matches = (message, swipeId) => getSwipeSendDate(message, swipeId) === record.sendDate;
+
+    if (matches(chat[record.messageIndex], record.swipeId)) {
+        return { index: record.messageIndex, swipeId: record.swipeId };
+    }
+    for (let index = chat.length - 1; index >= 0; index--) {
+        const message = chat[index];
+        if (message?.is_user) continue;
+        const swipeCount = Math.max(Array.isArray(message?.swipes) ? message.swipes.length : 0, 1);
+        for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+            if (matches(message, swipeId)) return { index, swipeId };
+        }
+    }
+    return null;
+}
+
+/**
+ * Records of one chat whose outcome can still change, so reconciling doesn't walk the whole ledger.
+ * Rebuilt when the chat changes; null after the ledger was replaced or merged into.
+ * @type {{chatId: string, records: Object[]}|null}
+ */
+let openOutcomes = null;
+
+/**
+ * Whether a linked record's outcome can still change: it is pending, or its message is still the
+ * last one (only the last message can be swiped)
+ * @param {Object} record
+ * @param {number} lastIndex - Index of the chat's last message
+ * @returns {boolean}
+ */
+function isOutcomeOpen(record, lastIndex) {
+    return !record.voided && record.outcome !== 'discarded'
+        && (record.outcome === 'pending' || record.messageIndex >= lastIndex);
+}
+
+/**
+ * Get the current chat's records whose outcome can still change
+ * @param {string} chatId
+ * @param {Object[]} chat - Current chat messages
+ * @returns {Object[]}
+ */
+function getOpenOutcomeRecords(chatId, chat) {
+    if (openOutcomes?.chatId !== chatId) {
+        const records = getLedger().filter(record => record.chatId === chatId && record.sendDate
+            && record.messageIndex !== undefined && isOutcomeOpen(record, chat.length - 1));
+        openOutcomes = { chatId, records };
+    }
+    return openOutcomes.records;
+}
+
+/**
+ * Start tracking the outcome of a record just linked to a message
+ * @param {Object} record
+ */
+function trackOutcome(record) {
+    if (openOutcomes && openOutcomes.chatId === record.chatId && record.sendDate) {
+        openOutcomes.records.push(record);
+    }
+}
+
+/**
+ * Mark the current chat's generations as kept or discarded.
+ * A generation is discarded once its message is deleted, or once the chat has moved past its
+ * message with a different swipe selected. Swipes of the last message stay pending while the
+ * user may still be choosing. Once the chat has moved past a message its outcome is settled,
+ * and only generations that are still open are checked.
+ */
+function reconcileMessageOutcomes() {
+    const chatId = getCurrentChatId();
+    const chat = getContext()?.chat;
+    if (!chatId || !Array.isArray(chat) || chat.length === 0) return;
+
+    const changed = [];
+    const open = getOpenOutcomeRecords(chatId, chat);
+
+    for (const record of [...open]) {
+        if (record.voided) {
+            open.splice(open.indexOf(record), 1);
+            continue;
+        }
+        const location = locateRecordMessage(chat, record);
+        let outcome;
+        if (!location) {
+            outcome = 'discarded';
+        } else if ((chat[location.index].swipe_id ?? 0) === location.swipeId) {
+            outcome = 'kept';
+        } else {
+            outcome = location.index < chat.length - 1 ? 'discarded' : 'pending';
+        }
+
+        if (location && (location.index !== record.messageIndex || location.swipeId !== record.swipeId)) {
+            record.messageIndex = location.index;
+            record.swipeId = location.swipeId;
+            if (!changed.includes(record)) changed.push(record);
+        }
+        if (record.outcome !== outcome) {
+            record.outcome = outcome;
+            if (!changed.includes(record)) changed.push(record);
+        }
+        if (!isOutcomeOpen(record, chat.length - 1)) {
+            open.splice(open.indexOf(record), 1);
+        }
+    }
+
+    if (changed.length > 0) {
+        persistLedgerRecords(changed);
+        eventSource.emit('tokenUsageUpdated', getUsageStats());
+    }
+}
+
+let reconcileTimeout = null;
+
+/**
+ * Reconcile message outcomes once chat events settle (swipes and deletions come in bursts)
+ */
+function scheduleReconcileMessageOutcomes() {
+    clearTimeout(reconcileTimeout);
+    reconcileTimeout = setTimeout(() => {
+        try {
+            reconcileMessageOutcomes();
+        } catch (e) {
+            console.error('[Token Usage Tracker] Error reconciling swipe outcomes:', e);
+        }
+    }, 500);
+}
+
+/**
+ * Store a generation's usage on the message and swipe it produced (`extra.token_usage`), so the
+ * figures stay with the chat. A continue adds to the usage already on the swipe.
+ * @param {Object} record - Ledger record linked to a message of the current chat
+ */
+async function attachUsageToMessage(record) {
+    const context = getContext();
+    const chat = context?.chat;
+    if (!Array.isArray(chat) || record.status === 'failed' || record.chatId !== getCurrentChatId()) return;
+
+    const location = locateRecordMessage(chat, record);
+    if (!location) return;
+    const message = chat[location.index];
+    const isCurrent = (message.swipe_id ?? 0) === location.swipeId;
+    const swipeInfo = Array.isArray(message.swipe_info) ? message.swipe_info[location.swipeId] : null;
+    const previous = (isCurrent ? message.extra?.token_usage : swipeInfo?.extra?.token_usage) || null;
+    const add = previous && record.type === 'continue';
+
+    const tokenUsage = {
+        recordIds: [...(add ? previous.recordIds || [] : []), record.id],
+        model: record.modelId,
+        source: record.sourceId,
+        input: record.input + (add ? previous.input : 0),
+        output: record.output + (add ? previous.output : 0),
+        reasoning: (record.reasoning || 0) + (add ? previous.reasoning || 0 : 0),
+        cacheRead: (record.cacheRead || 0) + (add ? previous.cacheRead || 0 : 0),
+        cacheWrite: (record.cacheWrite || 0) + (add ? previous.cacheWrite || 0 : 0),
+        cost: record.cost + (add ? previous.cost || 0 : 0),
+        // Only provider-reported if every part of it was
+        reported: record.reported && (!add || previous.reported === true),
+        requests: add ? (previous.requests || 1) + 1 : 1,
+        timestamp: record.timestamp,
+    };
+    if (record.timing?.tokensPerSecond) tokenUsage.tokensPerSecond = record.timing.tokensPerSecond;
+
+    if (isCurrent) {
+        message.extra = { ...(message.extra || {}), token_usage: tokenUsage };
+    }
+    // SillyTavern restores a swipe's extra from swipe_info when it is swiped back to
+    if (swipeInfo) {
+        swipeInfo.extra = { ...(swipeInfo.extra || {}), token_usage: { ...tokenUsage } };
+    }
+
+    updateMessageBadges(location.index);
+    try {
+        await context.saveChat?.();
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error saving token usage to the chat:', e);
+    }
+}
+
+/**
+ * Build the usage badge of a chat message
+ * @param {Object} tokenUsage - message.extra.token_usage
+ * @returns {string} HTML
+ */
+function renderMessageBadge(tokenUsage) {
+    const parts = [
+        `${formatTokens(tokenUsage.input || 0)} in`,
+        `${formatTokens(tokenUsage.output || 0)} out`,
+        tokenUsage.reasoning > 0 ? `🧠 ${formatTokens(tokenUsage.reasoning)}` : null,
+        tokenUsage.cost > 0 ? `$${tokenUsage.cost < 0.01 ? tokenUsage.cost.toFixed(4) : tokenUsage.cost.toFixed(2)}` : null,
+    ].filter(Boolean);
+    const details = [
+        `Model: ${tokenUsage.model || 'unknown'}${tokenUsage.source ? ` (${formatSourceName(tokenUsage.source)})` : ''}`,
+        `Input: ${formatNumberFull(tokenUsage.input || 0)}${tokenUsage.cacheRead || tokenUsage.cacheWrite ? ` (cache ${formatNumberFull(tokenUsage.cacheRead || 0)} read / ${formatNumberFull(tokenUsage.cacheWrite || 0)} write)` : ''}`,
+        `Output: ${formatNumberFull(tokenUsage.output || 0)}`,
+        tokenUsage.reasoning > 0 ? `Reasoning: ${formatNumberFull(tokenUsage.reasoning)}` : null,
+        tokenUsage.cost > 0 ? `Cost: $${tokenUsage.cost.toFixed(4)}` : 'Cost: set prices for this model to see it',
+        tokenUsage.tokensPerSecond ? `Speed: ${tokenUsage.tokensPerSecond} t/s` : null,
+        tokenUsage.requests > 1 ? `${tokenUsage.requests} requests (continued)` : null,
+        tokenUsage.reported ? '✓ Provider-reported' : '≈ Estimated by local tokenizer',
+    ].filter(Boolean).join('\n');
+
+    return `<div class="token-usage-mes-badge ${tokenUsage.reported ? 'reported' : ''}" title="${escapeHtml(details)}">${escapeHtml(parts.join(' / '))}</div>`;
+}
+
+/**
+ * Show (or refresh) the usage badges of rendered chat messages
+ * @param {number|null} [messageIndex] - Only this message; all rendered messages when null
+ */
+function updateMessageBadges(messageIndex = null) {
+    const chat = getContext()?.chat;
+    const showBadges = getSettings().messageBadges;
+    const elements = messageIndex === null ? $('#chat .mes') : $(`#chat .mes[mesid="${messageIndex}"]`);
+
+    elements.each(function () {
+        const element = $(this);
+        element.find('.token-usage-mes-badge').remove();
+        if (!showBadges || !Array.isArray(chat)) return;
+
+        const message = chat[Number(element.attr('mesid'))];
+        const tokenUsage = message?.extra?.token_usage;
+        if (!tokenUsage || message.is_user) return;
+        element.find('.mes_text').first().after(renderMessageBadge(tokenUsage));
+    });
+}
+
+let messageBadgesTimeout = null;
+
+/**
+ * Refresh every message badge once chat rendering settles
+ */
+function scheduleMessageBadges() {
+    clearTimeout(messageBadgesTimeout);
+    messageBadgesTimeout = setTimeout(() => {
+        try {
+            updateMessageBadges();
+        } catch (e) {
+            console.error('[Token Usage Tracker] Error rendering message badges:', e);
+        }
+    }, 100);
+}
+
+/**
+ * Get wasted usage: generations whose output was discarded (other swipe chosen, or message deleted)
+ * @param {Object} [options]
+ * @param {string} [options.chatId] - Only this chat
+ * @returns {{tokens: number, cost: number, discarded: number, settled: number, byModel: Object<string, {tokens: number, cost: number, discarded: number, settled: number}>}}
+ *   `settled` counts generations whose outcome is known (kept or discarded)
+ */
+function getWasteStats({ chatId = null } = {}) {
+    const stats = { tokens: 0, cost: 0, discarded: 0, settled: 0, byModel: {} };
+
+    for (const record of getLedger()) {
+        if (record.voided || !record.outcome || record.outcome === 'pending') continue;
+        if (chatId && record.chatId !== chatId) continue;
+
+        const modelId = record.modelId || 'unknown';
+        if (!stats.byModel[modelId]) stats.byModel[modelId] = { tokens: 0, cost: 0, discarded: 0, settled: 0 };
+        const model = stats.byModel[modelId];
+
+        stats.settled++;
+        model.settled++;
+        if (record.outcome === 'discarded') {
+            stats.tokens += record.total || 0;
+            stats.cost += record.cost || 0;
+            stats.discarded++;
+            model.tokens += record.total || 0;
+            model.cost += record.cost || 0;
+            model.discarded++;
+        }
+    }
+    return stats;
+}
+
+// Streamed output shorter than this is timed over the whole request instead of from the first token
+const MIN_STREAM_WINDOW = 250;
+
+/**
+ * Turn request timestamps into the timing stored on a record
+ * @param {{startedAt: number, firstTokenAt: number|null, finishedAt: number}|undefined} timestamps
+ * @param {number} generatedTokens - Output plus reasoning tokens
+ * @returns {{ttft: number|null, duration: number, tokensPerSecond: number|null}|null} Milliseconds and output
+ *   tokens per second (null without a usable start and end)
+ */
+function buildGenerationTiming(timestamps, generatedTokens) {
+    const { startedAt, firstTokenAt, finishedAt } = timestamps || {};
+    if (!startedAt || !finishedAt || finishedAt <= startedAt) return null;
+
+    const duration = finishedAt - startedAt;
+    const ttft = firstTokenAt && firstTokenAt >= startedAt && firstTokenAt <= finishedAt ? firstTokenAt - startedAt : null;
+    // Throughput of a streamed response doesn't include the wait for its first token
+    const streamWindow = ttft !== null ? finishedAt - firstTokenAt : 0;
+    const generationTime = streamWindow >= MIN_STREAM_WINDOW ? streamWindow : duration;
+    return {
+        ttft,
+        duration,
+        tokensPerSecond: generatedTokens > 0 ? Math.round(generatedTokens / (generationTime / 1000) * 10) / 10 : null,
+    };
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values
+ * @param {number} percent - 0-100
+ * @returns {number|null} Null for an empty list
+ */
+function getPercentile(values, percent) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((percent / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarize the timings of a set of records
+ * @param {Object[]} records - Records with a `timing`
+ * @returns {{count: number, ttft: {p50: number, p95: number}|null, duration: {p50: number, p95: number}, tokensPerSecond: {p50: number, p95: number}|null}|null}
+ *   ttft covers streamed records only; null when no record has timing
+ */
+function summarizeTimings(records) {
+    const timings = records.map(record => record.timing).filter(Boolean);
+    if (timings.length === 0) return null;
+
+    const summarize = (values) => values.length > 0 ? { p50: getPercentile(values, 50), p95: getPercentile(values, 95) } : null;
+    return {
+        count: timings.length,
+        ttft: summarize(timings.map(t => t.ttft).filter(v => v !== null && v !== undefined)),
+        duration: summarize(timings.map(t => t.duration)),
+        tokensPerSecond: summarize(timings.map(t => t.tokensPerSecond).filter(v => v !== null && v !== undefined)),
+    };
+}
+
+/**
+ * Speed summaries already computed from the ledger (per breakdown dimension and per chart period),
+ * so renders and tooltips don't walk the whole ledger each time. Cleared whenever usage is updated.
+ * @type {Map<string, *>}
+ */
+const speedCache = new Map();
+
+/**
+ * Get latency and throughput per model or source. Percentiles need the individual samples, so
+ * they are computed from the ledger and cover the records it keeps.
+ * @param {Object} [options]
+ * @param {'model'|'source'} [options.dimension] - Group by model ID or source ID
+ * @param {number} [options.days] - Only records from the last N days (all kept records if omitted)
+ * @returns {Array<{key: string, count: number, ttft: {p50: number, p95: number}|null, duration: {p50: number, p95: number}, tokensPerSecond: {p50: number, p95: number}|null}>}
+ *   Times in milliseconds, throughput in output tokens per second; most sampled first
+ */
+function getSpeedStats({ dimension = 'model', days = null } = {}) {
+    const cacheKey = `stats:${dimension}`;
+    if (!days && speedCache.has(cacheKey)) return [...speedCache.get(cacheKey)];
+
+    const since = days ? new Date(getCurrentEasternTime().getTime() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+    const groups = {};
+    for (const record of getLedger()) {
+        if (!record.timing || record.voided) continue;
+        if (since && record.timestamp < since) continue;
+        const key = (dimension === 'source' ? record.sourceId : record.modelId) || 'unknown';
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(record);
+    }
+    const rows = Object.entries(groups)
+        .map(([key, records]) => ({ key, ...summarizeTimings(records) }))
+        .sort((a, b) => b.count - a.count);
+    if (!days) speedCache.set(cacheKey, rows);
+    return [...rows];
+}
+
+/**
+ * Get how full the context window was for a chat's recent generations
+ * @param {Object} [options]
+ * @param {string} [options.chatId] - Chat (defaults to the current one)
+ * @param {number} [options.limit] - Most recent generations returned
+ * @returns {Array<{id: string, timestamp: string, modelId: string|null, input: number, contextLength: number, utilization: number}>}
+ *   Oldest first; utilization is the prompt's share of the model's context window (0-1)
+ */
+function getContextUtilization({ chatId = getCurrentChatId(), limit = 30 } = {}) {
+    if (!chatId) return [];
+    return getUsageRecords({ limit, chatId, includeVoided: false })
+        .filter(record => record.utilization !== undefined)
+        .reverse()
+        .map(record => ({
+            id: record.id,
+            timestamp: record.timestamp,
+            modelId: record.modelId,
+            input: record.input,
+            contextLength: record.contextLength,
+            utilization: record.utilization,
+        }));
+}
+
+/**
+ * Check whether a chat has stayed above the context alert threshold
+ * @param {Array<{utilization: number}>} samples - Utilization samples, oldest first
+ * @returns {boolean} True when each of the last `window` samples is above the threshold
+ */
+function isAboveContextAlert(samples) {
+    const { threshold, window } = getSettings().contextAlert || {};
+    if (!(threshold > 0) || !(window > 0) || samples.length < window) return false;
+    return samples.slice(-window).every(sample => sample.utilization * 100 > threshold);
+}
+
+/**
+ * Keyed aggregate maps derived from the ledger
+ */
+const AGGREGATE_MAPS = ['byDay', 'byHour', 'byWeek', 'byMonth', 'byChat', 'byModel', 'bySource', 'byProfile', 'byFeature', 'byType', 'byCharacter', 'byGroup', 'byPersona', 'byWorldInfo'];
+
+/**
+ * Fields summed when merging buckets
+ */
+const BUCKET_SUM_FIELDS = ['input', 'output', 'reasoning', 'total', 'messageCount', 'cacheRead', 'cacheWrite', 'reportedCount', 'failedCount', 'possiblyBilledInput'];
+
+/**
+ * Add every numeric field of one bucket into another (nested maps are not merged)
+ * @param {Object} target
+ * @param {Object} source
+ */
+function sumBucketInto(target, source) {
+    for (const field of BUCKET_SUM_FIELDS) {
+        if (source?.[field]) target[field] = (target[field] || 0) + source[field];
+    }
+}
+
+/**
+ * Rebuild every aggregate bucket from the non-voided ledger records
+ * @param {Object} usage - settings.usage
+ * @returns {Object} Scratch usage object holding the rebuilt buckets
+ */
+function buildAggregatesFromRecords(usage) {
+    const rebuilt = structuredClone(defaultSettings.usage);
+    rebuilt.session.startTime = usage.session.startTime;
+    const sessionStart = usage.session.startTime;
+
+    for (const record of getLedger()) {
+        if (record.voided) continue;
+        const inSession = !!sessionStart && record.timestamp >= sessionStart;
+        applyRecordToUsage(rebuilt, record, { includeSession: inSession });
+    }
+    return rebuilt;
+}
+
+/**
+ * Fields every model/source entry has carried since the first release; the others were added later
+ */
+const BUCKET_BASE_FIELDS = ['input', 'output', 'total'];
+
+/**
+ * Re-derive a bucket's token fields from its child entries. Only fields the children actually
+ * carry are re-derived: entries written before the ledger hold just input/output/total, so the
+ * bucket keeps its stored reasoning, message count and cache fields when any child lacks them.
+ * Failure fields are never touched (they live outside the per-model day data).
+ * @param {Object} target - Bucket to write (a copy of the stored one, or empty)
+ * @param {Object|undefined} stored - The stored bucket
+ * @param {Object[]} children - Child entries (objects only)
+ */
+function deriveBucketFromChildren(target, stored, children) {
+    // Entries written by addTokensToBucket always carry a message count; optional fields are only written when non-zero
+    const complete = children.every(child => typeof child.messageCount === 'number');
+    for (const field of BUCKET_SUM_FIELDS) {
+        if (field === 'failedCount' || field === 'possiblyBilledInput') continue;
+        if (complete || BUCKET_BASE_FIELDS.includes(field)) {
+            const sum = children.reduce((total, child) => total + (child[field] || 0), 0);
+            if (sum || ['reasoning', 'messageCount', ...BUCKET_BASE_FIELDS].includes(field)) target[field] = sum;
+            else delete target[field];
+        } else if (stored?.[field] !== undefined) {
+            target[field] = stored[field];
+        }
+    }
+}
+
+/**
+ * Rebuild the aggregates that can be derived from each day's nested model/source data:
+ * day totals, allTime, byWeek, byMonth, byModel and bySource.
+ * Session, byHour, byChat and the per-profile, feature, type, character, group, persona and World Info maps are not derivable from days and are kept as they are.
+ * Fields the day entries don't carry are kept as stored (see deriveBucketFromChildren), and days
+ * or models with legacy numeric entries are kept as they are.
+ * @param {Object} usage - settings.usage
+ * @returns {Object} Scratch usage object holding the rebuilt buckets
+ */
+function buildAggregatesFromDays(usage) {
+    const keepFailures = (target, source) => {
+        if (source?.failedCount) target.failedCount = source.failedCount;
+        if (source?.possiblyBilledInput) target.possiblyBilledInput = source.possiblyBilledInput;
+    };
+
+    const rebuilt = structuredClone(usage);
+    rebuilt.allTime = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
+    rebuilt.byWeek = {};
+    rebuilt.byMonth = {};
+    rebuilt.byModel = {};
+    rebuilt.bySource = {};
+    // Per model/source: its day entries, and whether any of them is a legacy plain number
+    const children = { byModel: new Map(), bySource: new Map() };
+    const collect = (name, entries) => {
+        for (const [key, entry] of Object.entries(entries || {})) {
+            if (!children[name].has(key)) children[name].set(key, { entries: [], numeric: false });
+            const child = children[name].get(key);
+            if (typeof entry === 'number') child.numeric = true;
+            else if (entry) child.entries.push(entry);
+        }
+    };
+
+    for (const [dayKey, day] of Object.entries(rebuilt.byDay)) {
+        const models = Object.values(day.models || {});
+        // Day totals are the sum of their models; days recorded without a model, or with legacy
+        // numeric model entries, keep their own totals
+        if (models.length > 0 && models.every(model => model && typeof model === 'object')) {
+            deriveBucketFromChildren(day, usage.byDay[dayKey], models);
+        }
+        collect('byModel', day.models);
+        collect('bySource', day.sources);
+
+        // Noon UTC falls on the same Eastern calendar day
+        const date = new Date(`${dayKey}T12:00:00Z`);
+        const weekKey = getWeekKey(date);
+        const monthKey = getMonthKey(date);
+        if (!rebuilt.byWeek[weekKey]) rebuilt.byWeek[weekKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
+        if (!rebuilt.byMonth[monthKey]) rebuilt.byMonth[monthKey] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
+        sumBucketInto(rebuilt.allTime, day);
+        sumBucketInto(rebuilt.byWeek[weekKey], day);
+        sumBucketInto(rebuilt.byMonth[monthKey], day);
+    }
+
+    for (const name of ['byModel', 'bySource']) {
+        for (const [key, { entries, numeric }] of children[name]) {
+            const stored = usage[name]?.[key];
+            // A legacy numeric day entry only holds a total, so the stored bucket can't be re-derived
+            if (numeric) {
+                if (stored) rebuilt[name][key] = structuredClone(stored);
+                continue;
+            }
+            rebuilt[name][key] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
+            deriveBucketFromChildren(rebuilt[name][key], stored, entries);
+        }
+    }
+
+    // Failures only recorded on byModel/bySource (e.g. a model that never succeeded) are carried over
+    for (const name of ['byModel', 'bySource']) {
+        for (const [key, bucket] of Object.entries(usage[name] || {})) {
+            if (!bucket.failedCount && !bucket.possiblyBilledInput) continue;
+            if (!rebuilt[name][key]) rebuilt[name][key] = { input: 0, output: 0, reasoning: 0, total: 0, messageCount: 0 };
+            keepFailures(rebuilt[name][key], bucket);
+        }
+    }
+    return rebuilt;
+}
+
+/**
+ * Pick the rebuild mode: records when the ledger covers every recorded day, days otherwise
+ * @param {Object} usage - settings.usage
+ * @returns {'records'|'days'}
+ */
+function getDefaultRebuildMode(usage) {
+    const dayKeys = Object.keys(usage.byDay || {}).sort();
+    if (dayKeys.length === 0) return 'records';
+    if (!usage.ledgerStartedAt) return 'days';
+    return getDayKey(new Date(usage.ledgerStartedAt)) <= dayKeys[0] ? 'records' : 'days';
+}
+
+/**
+ * Describe the differences between current and rebuilt aggregates
+ * @param {Object} before - Current settings.usage
+ * @param {Object} after - Rebuilt usage
+ * @returns {string[]} One line per changed bucket (empty if nothing changes)
+ */
+function diffAggregates(before, after) {
+    const lines = [];
+    const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${formatNumberFull(delta)}`;
+
+    for (const name of ['session', 'allTime']) {
+        const a = before[name] || {};
+        const b = after[name] || {};
+        const changes = BUCKET_SUM_FIELDS
+            .filter(field => (a[field] || 0) !== (b[field] || 0))
+            .map(field => `${field} ${formatNumberFull(a[field] || 0)} → ${formatNumberFull(b[field] || 0)} (${formatDelta((b[field] || 0) - (a[field] || 0))})`);
+        if (changes.length > 0) {
+            lines.push(`${name}: ${changes.join(', ')}`);
+        }
+    }
+
+    for (const name of AGGREGATE_MAPS) {
+        const a = before[name] || {};
+        const b = after[name] || {};
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        let changed = 0;
+        let added = 0;
+        let removed = 0;
+        let totalBefore = 0;
+        let totalAfter = 0;
+        for (const key of keys) {
+            totalBefore += a[key]?.total || 0;
+            totalAfter += b[key]?.total || 0;
+            if (!a[key]) added++;
+            else if (!b[key]) removed++;
+            else if (BUCKET_SUM_FIELDS.some(field => (a[key][field] || 0) !== (b[key][field] || 0))) changed++;
+        }
+        if (changed || added || removed) {
+            const counts = [changed && `${changed} changed`, added && `${added} added`, removed && `${removed} removed`].filter(Boolean).join(', ');
+            lines.push(`${name}: ${counts} (${formatNumberFull(totalBefore)} → ${formatNumberFull(totalAfter)} tokens, ${formatDelta(totalAfter - totalBefore)})`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Recompute the aggregate buckets, showing a before/after diff and asking for confirmation before writing
+ * @param {Object} [options]
+ * @param {'auto'|'records'|'days'} [options.mode] - Rebuild from ledger records or from each day's nested model/source data
+ * @param {boolean} [options.confirmWrite] - Ask the user before writing (false applies the rebuild directly)
+ * @param {boolean} [options.dryRun] - Only compute the diff
+ * @returns {{mode: string, diff: string[], applied: boolean}}
+ */
+function rebuildAggregates({ mode = 'auto', confirmWrite = true, dryRun = false } = {}) {
+    const settings = getSettings();
+    const usage = settings.usage;
+    const resolvedMode = mode === 'auto' ? getDefaultRebuildMode(usage) : mode;
+    if (resolvedMode !== 'records' && resolvedMode !== 'days') {
+        throw new Error(`Unknown rebuild mode "${mode}" (use records or days)`);
+    }
+
+    const rebuilt = resolvedMode === 'records' ? buildAggregatesFromRecords(usage) : buildAggregatesFromDays(usage);
+    const diff = diffAggregates(usage, rebuilt);
+    if (dryRun || diff.length === 0) {
+        return { mode: resolvedMode, diff, applied: false };
+    }
+
+    if (resolvedMode === 'records' && getDefaultRebuildMode(usage) === 'days') {
+        diff.unshift(`Warning: the ledger starts ${getDayKey(new Date(usage.ledgerStartedAt))}; older days will be dropped.`);
+    }
+    if (confirmWrite && !confirm(`Rebuild token usage aggregates from ${resolvedMode}?\n\n${diff.join('\n')}`)) {
+        return { mode: resolvedMode, diff, applied: false };
+    }
+
+    for (const name of ['session', 'allTime', ...AGGREGATE_MAPS]) {
+        usage[name] = rebuilt[name];
+    }
+    saveSettings();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log(`[Token Usage Tracker] Rebuilt aggregates from ${resolvedMode}:`, diff);
+    return { mode: resolvedMode, diff, applied: true };
+}
+
+/**
+ * Parse a timestamp stored in a chat message: an ISO date, epoch milliseconds or a humanized send date
+ * @param {string|number|undefined} value
+ * @returns {Date|null}
+ */
+function parseMessageTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = timestampToMoment(value);
+    return parsed?.isValid() ? parsed.toDate() : null;
+}
+
+/**
+ * List every stored chat: the chat files of each character and the chats of each group
+ * @returns {Promise<Array<{chatId: string, characterId: string|null, characterName: string|null, groupId: string|null, groupName: string|null, load: function(): Promise<Object[]>}>>}
+ *   `load` fetches the chat's messages
+ */
+async function listStoredChats() {
+    const context = getContext();
+    const chats = [];
+
+    for (const character of context.characters || []) {
+        if (!character?.avatar) continue;
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar }),
+        });
+        if (!response.ok) {
+            console.warn(`[Token Usage Tracker] Could not list chats of ${character.name}: ${response.status}`);
+            continue;
+        }
+        const data = await response.json();
+        if (!data || data.error) continue;
+
+        for (const file of Object.values(data)) {
+            const chatId = String(file?.file_name || '').replace(/\.jsonl$/, '');
+            if (!chatId) continue;
+            chats.push({
+                chatId,
+                characterId: character.avatar,
+                characterName: character.name ?? null,
+                groupId: null,
+                groupName: null,
+                load: async () => {
+                    const chatResponse = await fetch('/api/chats/get', {
+                        method: 'POST',
+                        headers: getRequestHeaders(),
+                        body: JSON.stringify({ ch_name: character.name, file_name: chatId, avatar_url: character.avatar }),
+                    });
+                    if (!chatResponse.ok) throw new Error(`HTTP ${chatResponse.status}`);
+                    const messages = await chatResponse.json();
+                    // The first line of a chat file holds its metadata, not a message
+                    return Array.isArray(messages) ? messages.filter((message, i) => !(i === 0 && message?.chat_metadata !== undefined)) : [];
+                },
+            });
+        }
+    }
+
+    for (const group of context.groups || []) {
+        for (const groupChatId of group?.chats || []) {
+            chats.push({
+                chatId: String(groupChatId),
+                characterId: null,
+                characterName: null,
+                groupId: String(group.id),
+                groupName: group.name ?? null,
+                load: async () => {
+                    const chatResponse = await fetch('/api/chats/group/get', {
+                        method: 'POST',
+                        headers: getRequestHeaders(),
+                        body: JSON.stringify({ id: groupChatId }),
+                    });
+                    if (!chatResponse.ok) throw new Error(`HTTP ${chatResponse.status}`);
+                    const messages = await chatResponse.json();
+                    return Array.isArray(messages) ? messages : [];
+                },
+            });
+        }
+    }
+
+    return chats;
+}
+
+/**
+ * Turn the AI messages of a stored chat into estimated ledger records, one per swipe that came
+ * from an API. Output uses the stored token counts (counted locally when missing); input is
+ * estimated as the chat history before the message, capped at the model's context window (or the
+ * context size setting when that is unknown). System prompt, character card and World Info are
+ * not included.
+ * @param {Object[]} messages - Chat messages
+ * @param {{chatId: string, characterId: string|null, characterName: string|null, groupId: string|null, groupName: string|null}} chat
+ * @param {Object} options
+ * @param {Set<string>} options.liveDays - Day keys that already hold usage; their generations are skipped
+ * @param {Set<string>} options.seen - Generations already backfilled from another chat (branches copy their history)
+ * @returns {Promise<{records: Object[], skippedLive: number, undated: number}>}
+ */
+async function buildBackfillRecords(messages, chat, { liveDays, seen }) {
+    const result = { records: [], skippedLive: 0, undated: 0 };
+
+    // Every version of every message, with the stored counts where there are any
+    const entries = [];
+    messages.forEach((message, index) => {
+        if (!message || message.is_system) return;
+        const swipeCount = !message.is_user && Array.isArray(message.swipes) && message.swipes.length > 0 ? message.swipes.length : 1;
+        const currentSwipe = message.swipe_id ?? 0;
+        for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+            const isCurrent = swipeCount === 1 || swipeId === currentSwipe;
+            const info = isCurrent ? message : message.swipe_info?.[swipeId];
+            const extra = (isCurrent ? message.extra : info?.extra) || {};
+            entries.push({
+                message,
+                index,
+                swipeId,
+                isCurrent,
+                info: info || {},
+                extra,
+                text: String((isCurrent ? message.mes : message.swipes?.[swipeId]) || ''),
+                storedCount: typeof extra.token_count === 'number' ? extra.token_count : null,
+            });
+        }
+    });
+
+    const texts = entries.flatMap(entry => [entry.storedCount === null ? entry.text : '', String(entry.extra.reasoning || '')]);
+    const counts = await countTokensBatch(texts);
+    entries.forEach((entry, i) => {
+        entry.reasoning = counts[i * 2 + 1];
+        const total = entry.storedCount ?? counts[i * 2];
+        // Stored counts may include the reasoning, which is tracked separately
+        entry.output = entry.reasoning > 0 && total > entry.reasoning && entry.storedCount !== null ? total - entry.reasoning : total;
+    });
+
+    let history = 0;
+    for (const entry of entries) {
+        const { message, index, swipeId, info, extra } = entry;
+        const fromApi = !message.is_user && (extra.api || extra.model);
+
+        if (fromApi) {
+            const date = parseMessageTimestamp(info.gen_finished) ?? parseMessageTimestamp(info.gen_started) ?? parseMessageTimestamp(info.send_date);
+            const owner = chat.groupId || chat.characterId;
+            const key = date ? `${owner}:${date.getTime()}:${entry.output}` : null;
+            if (!date) {
+                result.undated++;
+            } else if (liveDays.has(getDayKey(date))) {
+                result.skippedLive++;
+            } else if (!seen.has(key)) {
+                seen.add(key);
+                const type = swipeId === 0 ? 'normal' : 'swipe';
+                const modelId = extra.model || null;
+                // The prompt never held more than the context window, however long the chat had grown
+                const contextCap = getModelContextLength(modelId) || getMaxContextSetting();
+                const input = contextCap > 0 ? Math.min(history, contextCap) : history;
+                const record = {
+                    id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                    timestamp: date.toISOString(),
+                    chatId: chat.chatId,
+                    characterId: chat.groupId ? (message.original_avatar || null) : chat.characterId,
+                    characterName: chat.groupId ? (message.original_avatar ? message.name || null : null) : chat.characterName,
+                    groupId: chat.groupId,
+                    groupName: chat.groupName,
+                    personaId: null,
+                    personaName: null,
+                    modelId,
+                    sourceId: extra.api || null,
+                    type,
+                    profileId: null,
+                    profileName: null,
+                    feature: getDefaultFeature(type),
+                    input,
+                    output: entry.output,
+                    reasoning: entry.reasoning,
+                    cacheRead: 0,
+                    cacheWrite: 0,
+                    total: input + entry.output + entry.reasoning,
+                    cost: modelId ? calculateCost(input, entry.output, modelId) : 0,
+                    reported: false,
+                    backfilled: true,
+                    messageIndex: index,
+                    swipeId,
+                    sendDate: getSwipeSendDate(message, swipeId),
+                };
+                // Same rule as reconcileMessageOutcomes: swipes not chosen before the chat moved on were wasted
+                record.outcome = (message.swipe_id ?? 0) === swipeId ? 'kept' : index < messages.length - 1 ? 'discarded' : 'pending';
+                const timing = buildGenerationTiming({
+                    startedAt: parseMessageTimestamp(info.gen_started)?.getTime(),
+                    firstTokenAt: null,
+                    finishedAt: parseMessageTimestamp(info.gen_finished)?.getTime(),
+                }, entry.output + entry.reasoning);
+                if (timing) record.timing = timing;
+                result.records.push(record);
+            }
+        }
+
+        // Only the chosen version of a message is part of the history later prompts were built from
+        if (entry.isCurrent) history += entry.output;
+    }
+
+    return result;
+}
+
+/**
+ * Backfill estimated usage from stored chats, for history from before the extension was installed
+ * or from devices it didn't run on. Generations are added to the ledger flagged `backfilled` and
+ * applied to every aggregate. Days that already hold usage are skipped, so live data (or an
+ * earlier backfill) is never counted twice.
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmWrite] - Ask the user before writing
+ * @param {function(number, number): void} [options.onProgress] - Called with (chats read, chats total)
+ * @returns {Promise<{applied: boolean, chats: number, records: number, tokens: number, skippedLive: number, undated: number, failedChats: number}>}
+ */
+async function backfillUsageFromChats({ confirmWrite = true, onProgress = null } = {}) {
+    const usage = getSettings().usage;
+    const liveDays = new Set(Object.entries(usage.byDay)
+        .filter(([, day]) => (day.total || 0) > 0 || (day.messageCount || 0) > 0 || (day.failedCount || 0) > 0)
+        .map(([dayKey]) => dayKey));
+
+    const chats = await listStoredChats();
+    const summary = { applied: false, chats: chats.length, records: 0, tokens: 0, skippedLive: 0, undated: 0, failedChats: 0 };
+    const records = [];
+    const seen = new Set();
+
+    for (let i = 0; i < chats.length; i++) {
+        try {
+            const result = await buildBackfillRecords(await chats[i].load(), chats[i], { liveDays, seen });
+            records.push(...result.records);
+            summary.skippedLive += result.skippedLive;
+            summary.undated += result.undated;
+        } catch (e) {
+            summary.failedChats++;
+            console.error(`[Token Usage Tracker] Error reading chat ${chats[i].chatId} for backfill:`, e);
+        }
+        onProgress?.(i + 1, chats.length);
+    }
+
+    summary.records = records.length;
+    summary.tokens = records.reduce((sum, record) => sum + record.total, 0);
+    if (records.length === 0) return summary;
+
+    // Trimming drops the oldest records first, which would evict the backfilled ones straight away
+    const settings = getSettings();
+    const maxRecords = settings.ledgerMaxRecords || defaultSettings.ledgerMaxRecords;
+    const neededRecords = getLedger().length + records.length;
+    const raiseLimit = neededRecords > maxRecords;
+
+    if (confirmWrite && !confirm([
+        `Backfill ${formatNumberFull(records.length)} generations (~${formatNumberFull(summary.tokens)} estimated tokens) from ${chats.length} chats?`,
+        '',
+        'Input is estimated from the chat history only (character card, system prompt and World Info are not included), capped at the model\'s context size.',
+        `${summary.skippedLive} generations on days that already have usage will be skipped.`,
+        raiseLimit ? `The ledger limit will be raised from ${formatNumberFull(maxRecords)} to ${formatNumberFull(neededRecords)} records to keep them.` : null,
+    ].filter(line => line !== null).join('\n'))) {
+        return summary;
+    }
+
+    if (raiseLimit) {
+        settings.ledgerMaxRecords = neededRecords;
+    }
+
+    for (const record of records) {
+        ledgerRecords.push(record);
+        applyRecordToUsage(usage, record);
+    }
+    persistLedgerRecords(records);
+    ledgerRecords.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    trimUsageRecords(usage);
+    openOutcomes = null;
+
+    saveSettings();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log(`[Token Usage Tracker] Backfilled ${records.length} generations from ${chats.length} chats (${summary.skippedLive} skipped on days with live data, ${summary.undated} undated)`);
+    summary.applied = true;
+    return summary;
+}
+
+/**
+ * Reset session usage
+ */
+function resetSession() {
+    const settings = getSettings();
+    settings.usage.session = {
+        input: 0,
+        output: 0,
+        reasoning: 0,
+        total: 0,
+        messageCount: 0,
+        models: {},
+        startTime: getCurrentEasternTime().toISOString(),
+    };
+    saveSettings();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log('[Token Usage Tracker] Session reset');
+}
+
+/**
+ * Reset all usage data
+ */
+function resetAllUsage() {
+    const settings = getSettings();
+    settings.usage = structuredClone(defaultSettings.usage);
+    settings.usage.session.startTime = getCurrentEasternTime().toISOString();
+    settings.usage.ledgerStartedAt = settings.usage.session.startTime;
+    clearLedger();
+    saveSettings();
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+    console.log('[Token Usage Tracker] All usage data reset');
+}
+
+/**
+ * Get comprehensive usage statistics
+ * @returns {Object} Usage statistics object
+ */
+function getUsageStats() {
+    const settings = getSettings();
+    const usage = settings.usage;
+    const now = getCurrentEasternTime();
+
+    // Get current tokenizer info for display
+    let tokenizerInfo = { tokenizerName: 'Unknown' };
+    try {
+        tokenizerInfo = getFriendlyTokenizerName(main_api);
+    } catch (e) {
+        // Ignore if not available yet
+    }
+
+    return {
+        session: { ...usage.session },
+        allTime: { ...usage.allTime },
+        today: usage.byDay[getDayKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0, models: {} },
+        thisHour: usage.byHour[getHourKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
+        thisWeek: usage.byWeek[getWeekKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
+        thisMonth: usage.byMonth[getMonthKey(now)] || { input: 0, output: 0, total: 0, messageCount: 0 },
+        currentChat: null, // Will be populated if context available
+        // Metadata
+        tokenizer: tokenizerInfo.tokenizerName,
+        // Raw data for advanced aggregation
+        byDay: { ...usage.byDay },
+        byHour: { ...usage.byHour },
+        byWeek: { ...usage.byWeek },
+        byMonth: { ...usage.byMonth },
+        byChat: { ...usage.byChat },
+        byModel: { ...usage.byModel },
+    };
+}
+
+/**
+ * Get usage for a specific time range
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Object} Aggregated usage for the range
+ */
+function getUsageForRange(startDate, endDate) {
+    const settings = getSettings();
+    const usage = settings.usage;
+
+    const result = { input: 0, output: 0, total: 0, messageCount: 0 };
+
+    for (const [day, data] of Object.entries(usage.byDay)) {
+        if (day >= startDate && day <= endDate) {
+            result.input += data.input || 0;
+            result.output += data.output || 0;
+            result.total += data.total || 0;
+            result.messageCount += data.messageCount || 0;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get usage for a specific chat
+ * @param {string} chatId - Chat ID
+ * @returns {Object} Usage for the chat
+ */
+function getChatUsage(chatId) {
+    const settings = getSettings();
+    return settings.usage.byChat[chatId] || { input: 0, output: 0, total: 0, messageCount: 0 };
+}
+
+function getCurrentChatId() {
+    const context = getContext();
+    return context?.chatMetadata?.chat_id
+        ?? context?.chatMetadata?.chatId
+        ?? context?.chat_id
+        ?? context?.chatId
+        ?? context?.currentChatId
+        ?? null;
+}
+
+/**
+ * State of one in-flight generation, from GENERATION_STARTED through GENERATE_AFTER_DATA to completion
+ * @typedef {Object} GenerationContext
+ * @property {number} id - Generation ID, increasing with each generation
+ * @property {string} type - Generation type ('normal', 'swipe', 'regenerate', 'continue', 'quiet', 'impersonate', ...)
+ * @property {string|null} quietPrompt - Quiet prompt text, used to match the prompt data to its generation
+ * @property {string|null} modelId - Model captured when the prompt was sent
+ * @property {string|null} sourceId - Source captured when the prompt was sent
+ * @property {string|null} profileId - Connection profile selected when the prompt was sent
+ * @property {string|null} profileName - Name of that connection profile
+ * @property {string|null} personaId - User persona active when the prompt was sent
+ * @property {string|null} personaName - Display name of that persona
+ * @property {Promise<number>|null} inputTokensPromise - Input token count, started at GENERATE_AFTER_DATA (null until then)
+ * @property {Promise<Object<string, number>|null>|null} compositionPromise - Input tokens per prompt section
+ * @property {Promise<Object[]>|null} worldInfoPromise - World Info entries injected into the prompt, with their token counts
+ * @property {Promise<Object|null>|null} reportedUsagePromise - Provider-reported usage for the request
+ * @property {Promise<number>|null} preContinuePromise - Token count of the message before a 'continue'
+ * @property {number|null} requestStartedAt - When the prompt was sent (epoch ms)
+ * @property {number|null} firstTokenAt - When the first streamed token arrived (stays null for non-streamed requests)
+ * @property {string|null} quietOutput - Output captured for a quiet generation
+ * @property {boolean} claimed - A background wrapper will record this generation when its call completes
+ * @property {string|null} feature - Extension or feature that started a quiet generation
+ */
+
+/**
+ * In-flight generations keyed by generation ID. Each generation keeps its own context so that
+ * overlapping normal, quiet and impersonate generations don't overwrite one another.
+ * @type {Map<number, GenerationContext>}
+ */
+const activeGenerations = new Map();
+let nextGenerationId = 1;
+
+/**
+ * Background wrappers waiting for the event-tracked generation their call starts
+ * @type {Set<{matches: function(GenerationContext): boolean, generation: GenerationContext|null}>}
+ */
+const generationClaims = new Set();
+
+// How long a request may take before we stop waiting for its reported usage (reasoning models can be slow)
+const REPORTED_USAGE_WAIT_LIMIT = 15 * 60 * 1000;
+// Grace period after a generation completes for the response body to finish parsing
+const REPORTED_USAGE_GRACE = 2000;
+
+/**
+ * Requests waiting for provider-reported usage, matched to outgoing fetches by prompt fingerprint
+ * @type {Array<{fingerprint: string, resolve: Function, onFailure: Function|null, claimed: boolean, settled: boolean}>}
+ */
+const reportedUsageWaiters = [];
+
+/**
+ * Extract the plain text of a chat completion message (string or multimodal content)
+ * @param {object} message - Chat completion message
+ * @returns {string} Text content
+ */
+function getMessageText(message) {
+    if (!message) return '';
+    if (typeof message.content === 'string') return message.content;
+    if (Array.isArray(message.content)) {
+        return message.content.filter(part => part?.type === 'text' && part.text).map(part => part.text).join('\n');
+    }
+    return '';
+}
+
+/**
+ * Build a short fingerprint used to match a tracked prompt with the request body that carries it.
+ * SillyTavern may prefix names or append a prefill before sending, so only the tail of the
+ * last user message (or of the text prompt) is used.
+ * @param {string|Array} prompt - Text completion prompt or chat completion messages
+ * @returns {string|null} Fingerprint, or null if the prompt has no usable text
+ */
+function getPromptFingerprint(prompt) {
+    let text = '';
+    if (typeof prompt === 'string') {
+        text = prompt;
+    } else if (Array.isArray(prompt) && prompt.length > 0) {
+        const lastUserMessage = [...prompt].reverse().find(message => message?.role === 'user');
+        text = getMessageText(lastUserMessage || prompt[prompt.length - 1]);
+    }
+    text = text.replace(/\s+/g, ' ').trim();
+    return text ? text.slice(-160) : null;
+}
+
+/**
+ * Normalize a usage payload from any supported provider format.
+ * Handles OpenAI-style `usage`, Anthropic `usage` / `message.usage` and Gemini `usageMetadata`.
+ * @param {object} payload - Parsed response body or stream chunk
+ * @returns {{input: number|null, completion: number|null, reasoning: number|null, cacheRead: number|null, cacheWrite: number|null}|null}
+ *   `input` is the full prompt size including cached tokens; `completion` includes reasoning tokens;
+ *   `reasoning` is null when the provider doesn't split it out
+ */
+function normalizeReportedUsage(payload) {
+    if (!payload || typeof payload !== 'object') return null;
+    const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+    // Gemini
+    const gemini = payload.usageMetadata;
+    if (gemini && typeof gemini === 'object') {
+        const candidates = num(gemini.candidatesTokenCount);
+        const thoughts = num(gemini.thoughtsTokenCount);
+        return {
+            input: num(gemini.promptTokenCount),
+            completion: candidates !== null ? candidates + (thoughts || 0) : null,
+            reasoning: thoughts,
+            cacheRead: num(gemini.cachedContentTokenCount),
+            cacheWrite: null,
+        };
+    }
+
+    const usage = payload.usage || payload.message?.usage;
+    if (!usage || typeof usage !== 'object') return null;
+
+    // OpenAI-compatible (OpenAI, OpenRouter, DeepSeek, most proxies)
+    if ('prompt_tokens' in usage || 'completion_tokens' in usage) {
+        return {
+            input: num(usage.prompt_tokens),
+            completion: num(usage.completion_tokens),
+            reasoning: num(usage.completion_tokens_details?.reasoning_tokens),
+            // DeepSeek reports cache hits at the top level instead of in prompt_tokens_details
+            cacheRead: num(usage.prompt_tokens_details?.cached_tokens) ?? num(usage.prompt_cache_hit_tokens),
+            cacheWrite: num(usage.prompt_tokens_details?.cache_write_tokens),
+        };
+    }
+
+    // Anthropic - input_tokens excludes cached prompt tokens, so add them back for the full prompt size
+    if ('input_tokens' in usage || 'output_tokens' in usage) {
+        const input = num(usage.input_tokens);
+        const cacheRead = num(usage.cache_read_input_tokens);
+        const cacheWrite = num(usage.cache_creation_input_tokens);
+        return {
+            input: input !== null ? input + (cacheRead || 0) + (cacheWrite || 0) : null,
+            completion: num(usage.output_tokens),
+            reasoning: null,
+            cacheRead,
+            cacheWrite,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Merge two partial usage reports (e.g. Anthropic sends input on message_start and output on message_delta)
+ * @param {Object|null} current
+ * @param {Object|null} next
+ * @returns {Object|null}
+ */
+function mergeReportedUsage(current, next) {
+    if (!next) return current;
+    if (!current) return { ...next };
+    return {
+        input: next.input ?? current.input,
+        completion: next.completion ?? current.completion,
+        reasoning: next.reasoning ?? current.reasoning,
+        cacheRead: next.cacheRead ?? current.cacheRead,
+        cacheWrite: next.cacheWrite ?? current.cacheWrite,
+    };
+}
+
+/**
+ * Read provider-reported usage from a (cloned) generation response.
+ * Supports both JSON bodies and server-sent event streams.
+ * @param {Response} response - Cloned fetch response
+ * @returns {Promise<Object|null>} Normalized usage, or null if none was reported
+ */
+async function readReportedUsage(response) {
+    if (!response.ok || !response.body) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream')) {
+        const text = await response.text();
+        try {
+            return normalizeReportedUsage(JSON.parse(text));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
+
+    const parseLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+        try {
+            usage = mergeReportedUsage(usage, normalizeReportedUsage(JSON.parse(data)));
+        } catch (e) {
+            // Not JSON - ignore
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(parseLine);
+    }
+    parseLine(buffer);
+
+    return usage;
+}
+
+/**
+ * Settle a reported-usage waiter exactly once
+ * @param {Object} waiter
+ * @param {Object|null} usage
+ */
+function settleReportedUsageWaiter(waiter, usage) {
+    if (waiter.settled) return;
+    waiter.settled = true;
+    const index = reportedUsageWaiters.indexOf(waiter);
+    if (index !== -1) reportedUsageWaiters.splice(index, 1);
+    waiter.resolve(usage);
+}
+
+/**
+ * Register interest in the provider-reported usage of a prompt that is about to be sent.
+ * The returned promise resolves when the matching response has been read (null if none is found).
+ * @param {string|Array} prompt - Text completion prompt or chat completion messages
+ * @param {Object} [options]
+ * @param {function({status: number|null, message: string}): void} [options.onFailure] - Called if the backend answers with an error
+ * @returns {Promise<Object|null>} Normalized usage
+ */
+function expectReportedUsage(prompt, { onFailure = null } = {}) {
+    const fingerprint = getPromptFingerprint(prompt);
+    if (!fingerprint) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const waiter = { fingerprint, resolve, onFailure, claimed: false, settled: false };
+        reportedUsageWaiters.push(waiter);
+        setTimeout(() => settleReportedUsageWaiter(waiter, null), REPORTED_USAGE_WAIT_LIMIT);
+    });
+}
+
+/**
+ * Await reported usage after a generation has completed, giving up after a short grace period
+ * @param {Promise<Object|null>|null} promise - Promise from expectReportedUsage
+ * @returns {Promise<Object|null>}
+ */
+async function awaitReportedUsage(promise) {
+    if (!promise) return null;
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), REPORTED_USAGE_GRACE);
+    });
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/** Weight older calibration samples keep when a new one arrives, so factors follow tokenizer and prompt changes */
+const CALIBRATION_DECAY = 0.95;
+
+/** Samples a model needs before its correction factor is applied to estimates */
+const CALIBRATION_MIN_SAMPLES = 3;
+
+/** Correction factors are clamped to this range so a few odd requests can't wreck estimates */
+const CALIBRATION_LIMITS = { min: 0.5, max: 2 };
+
+/**
+ * Learn how far the local tokenizer is off for a model from a request with both counts
+ * @param {string|null} modelId
+ * @param {{input: number, output: number, reasoning: number}} estimate - Local tokenizer estimate
+ * @param {{input: number, output: number, reasoning: number}} usage - Provider-reported usage for the same request
+ */
+function learnTokenizerCalibration(modelId, estimate, usage) {
+    if (!modelId) return;
+    const settings = getSettings();
+    if (!settings.tokenizerCalibration) settings.tokenizerCalibration = {};
+    if (!settings.tokenizerCalibration[modelId]) {
+        settings.tokenizerCalibration[modelId] = { input: { reported: 0, estimated: 0 }, output: { reported: 0, estimated: 0 }, samples: 0 };
+    }
+    const calibration = settings.tokenizerCalibration[modelId];
+
+    const addSample = (sums, estimated, reported) => {
+        if (!(estimated > 0) || !(reported > 0)) return;
+        sums.reported = sums.reported * CALIBRATION_DECAY + reported;
+        sums.estimated = sums.estimated * CALIBRATION_DECAY + estimated;
+    };
+    addSample(calibration.input, estimate.input, usage.input);
+    // Output and reasoning share the completion count, which providers don't always split
+    addSample(calibration.output, estimate.output + estimate.reasoning, usage.output + usage.reasoning);
+    calibration.samples++;
+}
+
+/**
+ * Get a model's tokenizer correction factors (provider count / local estimate)
+ * @param {string|null} modelId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnready] - Also return factors that have fewer than CALIBRATION_MIN_SAMPLES samples
+ * @returns {{input: number, output: number, samples: number}|null} null if the model has no (or too few) samples
+ */
+function getTokenizerCalibration(modelId, { includeUnready = false } = {}) {
+    const calibration = modelId ? getSettings().tokenizerCalibration?.[modelId] : null;
+    if (!calibration || calibration.samples === 0) return null;
+    if (!includeUnready && calibration.samples < CALIBRATION_MIN_SAMPLES) return null;
+
+    const factor = (sums) => sums.estimated > 0
+        ? Math.min(CALIBRATION_LIMITS.max, Math.max(CALIBRATION_LIMITS.min, sums.reported / sums.estimated))
+        : 1;
+    return { input: factor(calibration.input), output: factor(calibration.output), samples: calibration.samples };
+}
+
+/**
+ * Combine local tokenizer estimates with provider-reported usage.
+ * Reported fields win; missing fields fall back to the estimate, corrected by the model's learned calibration.
+ * A record only counts as "reported" when the provider supplied both the prompt and the completion counts.
+ * Nothing is learned here: recordUsage learns the calibration from each reported generation it records.
+ * @param {{input: number, output: number, reasoning: number}} estimate - Local tokenizer estimate
+ * @param {Object|null} reported - Normalized usage from normalizeReportedUsage
+ * @param {string|null} [modelId] - Model the request went to, for calibration
+ * @returns {{input: number, output: number, reasoning: number, cacheRead: number, cacheWrite: number, reported: boolean, calibration: {input: number, output: number}|null}}
+ *   calibration holds the factors applied to estimated fields, if any
+ */
+function resolveUsage(estimate, reported, modelId = null) {
+    const factors = getTokenizerCalibration(modelId);
+    const calibrated = {
+        input: factors ? Math.round(estimate.input * factors.input) : estimate.input,
+        output: factors ? Math.round(estimate.output * factors.output) : estimate.output,
+        reasoning: factors ? Math.round(estimate.reasoning * factors.output) : estimate.reasoning,
+    };
+    const calibration = factors ? { input: factors.input, output: factors.output } : null;
+
+    // Cache hits can't be known locally, so estimates never carry cache tokens
+    if (!reported) return { ...calibrated, cacheRead: 0, cacheWrite: 0, reported: false, calibration };
+
+    const input = reported.input ?? calibrated.input;
+    let output = calibrated.output;
+    let reasoning = calibrated.reasoning;
+
+    if (reported.completion !== null) {
+        // When the provider doesn't split out reasoning, keep our (calibrated) reasoning estimate as the split
+        reasoning = reported.reasoning ?? Math.min(calibrated.reasoning, reported.completion);
+        output = Math.max(0, reported.completion - reasoning);
+    }
+
+    const isReported = reported.input !== null && reported.completion !== null;
+
+    return {
+        input,
+        output,
+        reasoning,
+        cacheRead: reported.cacheRead || 0,
+        cacheWrite: reported.cacheWrite || 0,
+        reported: isReported,
+        calibration: isReported ? null : calibration,
+    };
+}
+
+/**
+ * Decode the start of a base64 data URL (or raw base64 string) into bytes
+ * @param {string} data - data: URL or base64 payload
+ * @param {number} [maxBytes] - Maximum number of bytes to decode
+ * @returns {Uint8Array|null}
+ */
+function decodeBase64Prefix(data, maxBytes = 65536) {
+    if (typeof data !== 'string') return null;
+    const commaIndex = data.startsWith('data:') ? data.indexOf(',') : -1;
+    const base64 = commaIndex !== -1 ? data.slice(commaIndex + 1) : data;
+    // Only whole 4-character groups decode cleanly
+    const length = Math.min(base64.length, Math.ceil(maxBytes / 3) * 4);
+    try {
+        const binary = atob(base64.slice(0, length - (length % 4)));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Approximate decoded size of a base64 data URL in bytes
+ * @param {string} data
+ * @returns {number}
+ */
+function getBase64ByteLength(data) {
+    if (typeof data !== 'string') return 0;
+    const commaIndex = data.startsWith('data:') ? data.indexOf(',') : -1;
+    return Math.floor((data.length - (commaIndex + 1)) * 3 / 4);
+}
+
+/**
+ * Read image dimensions from the header of a PNG, JPEG, GIF or WebP data URL
+ * @param {string} dataUrl
+ * @returns {{width: number, height: number}|null} null for remote URLs or unknown formats
+ */
+function getImageDimensions(dataUrl) {
+    const bytes = decodeBase64Prefix(dataUrl);
+    if (!bytes || bytes.length < 30) return null;
+    const u16be = (i) => (bytes[i] << 8) | bytes[i + 1];
+    const u16le = (i) => bytes[i] | (bytes[i + 1] << 8);
+    const u24le = (i) => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+    const u32be = (i) => ((bytes[i] << 24) >>> 0) + ((bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]);
+    const ascii = (i, n) => String.fromCharCode(...bytes.subarray(i, i + n));
+
+    // PNG: IHDR width/height
+    if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') {
+        return { width: u32be(16), height: u32be(20) };
+    }
+
+    // GIF: logical screen size
+    if (ascii(0, 3) === 'GIF') {
+        return { width: u16le(6), height: u16le(8) };
+    }
+
+    // WebP: lossy, lossless and extended variants
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8 ') return { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+            return {
+                width: 1 + (bytes[21] | ((bytes[22] & 0x3f) << 8)),
+                height: 1 + ((bytes[22] >> 6) | (bytes[23] << 2) | ((bytes[24] & 0x0f) << 10)),
+            };
+        }
+        if (chunk === 'VP8X') return { width: 1 + u24le(24), height: 1 + u24le(27) };
+        return null;
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+            const marker = bytes[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { width: u16be(offset + 7), height: u16be(offset + 5) };
+            }
+            offset += 2 + u16be(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the duration of an audio or video data URL in seconds.
+ * WAV and MP4/MOV headers are read exactly; other formats are estimated from the file size.
+ * @param {string} dataUrl - data: URL or base64 payload
+ * @param {'audio'|'video'} kind
+ * @param {string} [format] - Format hint (e.g. 'wav', 'mp3') when the data has no MIME type
+ * @returns {number} Duration in seconds (0 if unknown)
+ */
+function getMediaDuration(dataUrl, kind, format = '') {
+    const bytes = decodeBase64Prefix(dataUrl, 1024 * 1024);
+    const byteLength = getBase64ByteLength(dataUrl);
+    if (!bytes || byteLength === 0) return 0;
+    const ascii = (i, n) => String.fromCharCode(...bytes.subarray(i, i + n));
+    const u32le = (i) => (bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24)) >>> 0;
+    const u32be = (i) => ((bytes[i] << 24) >>> 0) + ((bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]);
+
+    // WAV: data size / byte rate
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WAVE') {
+        const byteRate = u32le(28);
+        if (byteRate > 0) return Math.max(0, byteLength - 44) / byteRate;
+    }
+
+    // MP4 / MOV: movie header box (only found when 'moov' precedes the media data)
+    const mvhd = new TextDecoder('latin1').decode(bytes).indexOf('mvhd');
+    if (mvhd !== -1 && mvhd + 32 < bytes.length) {
+        const version = bytes[mvhd + 4];
+        const timescale = version === 1 ? u32be(mvhd + 24) : u32be(mvhd + 16);
+        const duration = version === 1 ? u32be(mvhd + 28) * 2 ** 32 + u32be(mvhd + 32) : u32be(mvhd + 20);
+        if (timescale > 0 && duration > 0) return duration / timescale;
+    }
+
+    // Fall back to a typical bitrate: ~128 kbps for compressed audio, ~1 Mbps for video
+    const isWav = /wav/i.test(format);
+    const bitsPerSecond = kind === 'video' ? 1_000_000 : isWav ? 256_000 : 128_000;
+    return (byteLength * 8) / bitsPerSecond;
+}
+
+/**
+ * Per-provider media token formulas. Estimators can be replaced or added with registerMediaEstimator().
+ * image(width, height, detail) receives null dimensions for remote images.
+ * audioPerSecond / videoPerSecond are token rates for audio and video input; 0 means the provider
+ * doesn't take that kind of input, and such parts are counted as 0 tokens.
+ */
+const MEDIA_TOKEN_ESTIMATORS = {
+    // OpenAI (GPT-4o, GPT-4.1 ...): 85 base + 170 per 512px tile after scaling; low detail is a flat 85
+    openai: {
+        image: (width, height, detail) => {
+            if (detail === 'low') return 85;
+            if (!width || !height) return 765; // 1024x1024 at high detail
+            let w = width;
+            let h = height;
+            // Fit within 2048x2048, then scale the shortest side down to 768
+            const fit = Math.min(1, 2048 / Math.max(w, h));
+            w *= fit;
+            h *= fit;
+            const shrink = Math.min(1, 768 / Math.min(w, h));
+            w *= shrink;
+            h *= shrink;
+            return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+        },
+        audioPerSecond: 10,
+        videoPerSecond: 0,
+    },
+    // Claude: width * height / 750, after scaling the long edge down to 1568px and the total to ~1600 tokens
+    claude: {
+        image: (width, height) => {
+            if (!width || !height) return 1600; // Largest image Claude accepts without resizing
+            const scale = Math.min(1, 1568 / Math.max(width, height));
+            return Math.min(1600, Math.ceil((width * scale) * (height * scale) / 750));
+        },
+        audioPerSecond: 0,
+        videoPerSecond: 0,
+    },
+    // Gemini: fixed cost per image, 32 tokens per second of audio, 263 per second of video
+    gemini: {
+        image: () => 258,
+        audioPerSecond: 32,
+        videoPerSecond: 263,
+    },
+};
+
+/** `family:kind` pairs already warned about as unsupported, so each is reported once */
+const warnedUnsupportedMedia = new Set();
+
+/**
+ * Report a media part the provider family has no rate for (counted as 0 tokens)
+ * @param {string} family
+ * @param {string} kind - 'audio' or 'video'
+ */
+function flagUnsupportedMedia(family, kind) {
+    const key = `${family}:${kind}`;
+    if (warnedUnsupportedMedia.has(key)) return;
+    warnedUnsupportedMedia.add(key);
+    console.warn(`[Token Usage Tracker] ${family} models don't take ${kind} input as far as the tracker knows; ${kind} parts are counted as 0 tokens. Use registerMediaEstimator() to set a rate.`);
+}
+
+/** Custom family matchers registered through registerMediaEstimator(), checked before the built-in ones */
+const mediaEstimatorMatchers = [];
+
+/**
+ * Replace or add a media token estimator
+ * @param {string} family - Provider family ('openai', 'claude', 'gemini' or a new one)
+ * @param {{image?: Function, audioPerSecond?: number, videoPerSecond?: number}} estimator - Fields to override
+ * @param {function(string, string): boolean} [matches] - For new families: (modelId, sourceId) => true if the family applies
+ */
+function registerMediaEstimator(family, estimator, matches = null) {
+    MEDIA_TOKEN_ESTIMATORS[family] = { ...MEDIA_TOKEN_ESTIMATORS[family], ...estimator };
+    if (typeof matches === 'function') {
+        mediaEstimatorMatchers.unshift({ family, matches });
+    }
+}
+
+/**
+ * Pick the media estimator family for a model
+ * @param {string|null} modelId
+ * @param {string|null} sourceId
+ * @returns {string} Key of MEDIA_TOKEN_ESTIMATORS
+ */
+function getMediaEstimatorFamily(modelId, sourceId) {
+    const model = String(modelId || '').toLowerCase();
+    const source = String(sourceId || '').toLowerCase();
+    const custom = mediaEstimatorMatchers.find(m => m.matches(model, source));
+    if (custom) return custom.family;
+    if (source === 'claude' || model.includes('claude')) return 'claude';
+    if (source === 'makersuite' || source === 'vertexai' || model.includes('gemini') || model.includes('gemma')) return 'gemini';
+    return 'openai';
+}
+
+/**
+ * Estimate the tokens of a non-text content part (image, audio or video)
+ * @param {object} part - Chat completion content part
+ * @param {string} family - Estimator family from getMediaEstimatorFamily()
+ * @returns {number} Estimated tokens (0 for text, unknown parts and media the family has no rate for)
+ */
+function estimateMediaPartTokens(part, family) {
+    const estimator = MEDIA_TOKEN_ESTIMATORS[family] || MEDIA_TOKEN_ESTIMATORS.openai;
+
+    switch (part.type) {
+        case 'image_url':
+        case 'image': {
+            // OpenAI style { image_url: { url, detail } } or Claude style { source: { data, media_type } }
+            const url = part.image_url?.url ?? part.image_url ?? (part.source?.data ? `data:${part.source.media_type};base64,${part.source.data}` : null);
+            const dimensions = typeof url === 'string' ? getImageDimensions(url) : null;
+            return estimator.image(dimensions?.width ?? null, dimensions?.height ?? null, part.image_url?.detail ?? 'auto');
+        }
+        case 'input_audio':
+        case 'audio_url':
+        case 'audio': {
+            const rate = estimator.audioPerSecond;
+            if (!rate) {
+                flagUnsupportedMedia(family, 'audio');
+                return 0;
+            }
+            const data = part.input_audio?.data ?? part.audio_url?.url ?? part.audio_url ?? part.source?.data;
+            return Math.ceil(getMediaDuration(data, 'audio', part.input_audio?.format) * rate);
+        }
+        case 'video_url':
+        case 'video': {
+            const rate = estimator.videoPerSecond;
+            if (!rate) {
+                flagUnsupportedMedia(family, 'video');
+                return 0;
+            }
+            const data = part.video_url?.url ?? part.video_url ?? part.source?.data;
+            return Math.ceil(getMediaDuration(data, 'video') * rate);
+        }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Count input tokens from the full prompt context (async helper)
+ * @param {object} generate_data - The generation data containing the full prompt
+ * @param {Object} [target] - Model the prompt is sent to (defaults to the current one), for media estimates
+ * @param {string} [target.modelId]
+ * @param {string} [target.sourceId]
+ * @returns {Promise<number>} Total input token count
+ */
+async function countInputTokens(generate_data, { modelId = getCurrentModelId(), sourceId = getCurrentSourceId() } = {}) {
+    // For text completion APIs (kobold, novel, textgen) - prompt is a string
+    if (typeof generate_data.prompt === 'string') {
+        return await countTokens(generate_data.prompt);
+    }
+    // For chat completion APIs (OpenAI) - prompt is an array of messages
+    if (!Array.isArray(generate_data.prompt)) return 0;
+
+    // Collect every text first and count them in one batch - unchanged history comes from the memo
+    const texts = [];
+    let fixedTokens = 0;
+    const mediaFamily = getMediaEstimatorFamily(modelId, sourceId);
+    const addFunction = (fn) => {
+        if (fn?.name) texts.push(fn.name);
+        if (fn?.arguments) texts.push(fn.arguments);
+    };
+
+    for (const message of generate_data.prompt) {
+        // Content can be a string or an array of content parts (for multimodal)
+        if (typeof message.content === 'string') {
+            texts.push(message.content);
+        } else if (Array.isArray(message.content)) {
+            // Handle multimodal content (text, images, audio, video)
+            for (const part of message.content) {
+                if (part.type === 'text' && part.text) {
+                    texts.push(part.text);
+                } else if (part?.type) {
+                    // Media costs depend on the provider's formula and the image size / clip length
+                    fixedTokens += estimateMediaPartTokens(part, mediaFamily);
+                }
+            }
+        }
+        // Count role tokens (~1 token per role)
+        if (message.role) {
+            fixedTokens += 1;
+        }
+        // Count name field tokens (used in function calls, tool results, etc.)
+        if (message.name) {
+            texts.push(message.name);
+        }
+        // Count tool_calls tokens (Standard OpenAI)
+        if (Array.isArray(message.tool_calls)) {
+            for (const toolCall of message.tool_calls) addFunction(toolCall.function);
+        }
+        // Count invocations tokens (SillyTavern internal)
+        if (Array.isArray(message.invocations)) {
+            for (const invocation of message.invocations) addFunction(invocation.function);
+        }
+        // Count deprecated function_call tokens
+        addFunction(message.function_call);
+    }
+    // Add overhead for message formatting (rough estimate: ~3 tokens per message boundary)
+    fixedTokens += generate_data.prompt.length * 3;
+
+    const counts = await countTokensBatch(texts);
+    return counts.reduce((sum, count) => sum + count, fixedTokens);
+}
+
+/** Prompt sections input tokens are attributed to, with fixed colors and labels */
+const PROMPT_SECTIONS = {
+    system: { label: 'System & Instructions', color: '#6366f1' },
+    character: { label: 'Character Card', color: '#ec4899' },
+    persona: { label: 'Persona', color: '#14b8a6' },
+    worldInfo: { label: 'World Info', color: '#f59e0b' },
+    examples: { label: 'Example Dialogue', color: '#8b5cf6' },
+    history: { label: 'Chat History', color: '#0ea5e9' },
+    other: { label: 'Other', color: '#64748b' },
+};
+
+/** Prompt Manager identifiers -> prompt section, for messages that still carry their identifier */
+const PROMPT_IDENTIFIER_SECTIONS = {
+    main: 'system',
+    nsfw: 'system',
+    jailbreak: 'system',
+    enhanceDefinitions: 'system',
+    charDescription: 'character',
+    charPersonality: 'character',
+    scenario: 'character',
+    personaDescription: 'persona',
+    worldInfoBefore: 'worldInfo',
+    worldInfoAfter: 'worldInfo',
+    dialogueExamples: 'examples',
+    chatHistory: 'history',
+};
+
+/**
+ * World Info entries activated for the generation being prepared (from WORLD_INFO_ACTIVATED)
+ * @type {Object[]}
+ */
+let lastActivatedWorldInfo = [];
+
+/** Most recent chat messages looked for inside system text when attributing a prompt to sections */
+const COMPOSITION_HISTORY_MESSAGES = 100;
+
+/** Leading characters of a known text that are searched for; the rest is assumed to follow it */
+const COMPOSITION_MATCH_CHARS = 256;
+
+/**
+ * Collect the texts a prompt is assembled from, so they can be located in the final prompt
+ * @param {Object[]} [worldInfoEntries] - World Info entries activated for this prompt
+ * @returns {{section: string, text: string}[]}
+ */
+function getKnownPromptTexts(worldInfoEntries = []) {
+    const context = getContext();
+    const substitute = (text) => {
+        try {
+            return typeof context?.substituteParams === 'function' ? context.substituteParams(text) : text;
+        } catch (e) {
+            return text;
+        }
+    };
+    const texts = [];
+    const add = (section, text) => {
+        const trimmed = typeof text === 'string' ? substitute(text).trim() : '';
+        // Very short texts match by accident
+        if (trimmed.length >= 8) texts.push({ section, text: trimmed });
+    };
+
+    // The chat's character, or every member of a group
+    const characters = context?.groupId
+        ? (context.groups?.find(g => g.id === context.groupId)?.members || []).map(avatar => context.characters?.find(c => c.avatar === avatar))
+        : [context?.characterId !== undefined ? context?.characters?.[context.characterId] : null];
+    for (const character of characters.filter(Boolean)) {
+        add('character', character.description);
+        add('character', character.personality);
+        add('character', character.scenario);
+        // Example blocks are reformatted around their <START> separators, so match each block on its own
+        for (const block of String(character.mes_example || '').split(/<START>/i)) {
+            add('examples', block);
+        }
+    }
+
+    add('persona', context?.powerUserSettings?.persona_description);
+
+    for (const entry of worldInfoEntries) {
+        add('worldInfo', entry?.content);
+    }
+    return texts;
+}
+
+/**
+ * Attribute a prompt's input tokens to sections (system prompt, character card, world info, examples, chat history, ...).
+ * Chat-completion messages are classified by role, Prompt Manager identifier and example names; known texts
+ * (card fields, persona, activated World Info, chat messages) are then located inside each message.
+ * @param {Object} generate_data - Generation data with the prompt that was sent
+ * @param {number} inputTokens - Counted input tokens for the prompt (sections are scaled to this total)
+ * @param {Object[]} [worldInfoEntries] - World Info entries activated for this prompt
+ * @returns {Promise<Object<string, number>|null>} Section -> tokens, or null if the prompt could not be read
+ */
+async function getPromptComposition(generate_data, inputTokens, worldInfoEntries = []) {
+    const prompt = generate_data?.prompt;
+    if (!prompt || !inputTokens) return null;
+
+    const knownTexts = getKnownPromptTexts(worldInfoEntries);
+    const chatTexts = (getContext()?.chat || []).slice(-COMPOSITION_HISTORY_MESSAGES)
+        .map(message => String(message?.mes || '').trim())
+        .filter(text => text.length >= 8);
+    const sections = {};
+    const add = (section, tokens) => {
+        if (tokens > 0) sections[section] = (sections[section] || 0) + tokens;
+    };
+
+    // Split one piece of prompt text between the known texts it contains and its base section
+    const attributeText = async (text, baseSection, { findHistory }) => {
+        const candidates = findHistory ? [...knownTexts, ...chatTexts.map(chatText => ({ section: 'history', text: chatText }))] : knownTexts;
+        // Searching for a bounded prefix keeps long cards and messages cheap on large prompts
+        const found = candidates.filter(known => known.section !== baseSection && text.includes(known.text.slice(0, COMPOSITION_MATCH_CHARS)));
+        const [total, ...foundCounts] = await countTokensBatch([text, ...found.map(known => known.text)]);
+        let located = 0;
+        found.forEach((known, i) => {
+            const tokens = Math.min(foundCounts[i], total - located);
+            add(known.section, tokens);
+            located += tokens;
+        });
+        add(baseSection, total - located);
+    };
+
+    if (typeof prompt === 'string') {
+        await attributeText(prompt, 'system', { findHistory: true });
+    } else if (Array.isArray(prompt)) {
+        for (const message of prompt) {
+            const text = typeof message?.content === 'string'
+                ? message.content
+                : Array.isArray(message?.content) ? message.content.filter(part => part?.type === 'text').map(part => part.text || '').join('\n') : '';
+
+            let section = PROMPT_IDENTIFIER_SECTIONS[message?.identifier];
+            if (!section && String(message?.name || '').startsWith('example_')) section = 'examples';
+            if (!section) section = message?.role === 'user' || message?.role === 'assistant' ? 'history' : 'system';
+
+            // Media parts and message overhead are attributed to the message's section by the scaling below
+            if (text) {
+                await attributeText(text, section, { findHistory: section === 'system' });
+            } else {
+                add(section, 1);
+            }
+        }
+    } else {
+        return null;
+    }
+
+    return scaleComposition(sections, inputTokens);
+}
+
+/**
+ * Scale section token counts so they add up to a total (used for overhead and provider-reported input)
+ * @param {Object<string, number>|null} composition - Section -> tokens
+ * @param {number} total - Total to scale to
+ * @returns {Object<string, number>|null}
+ */
+function scaleComposition(composition, total) {
+    const entries = Object.entries(composition || {}).filter(([, tokens]) => tokens > 0);
+    const sum = entries.reduce((acc, [, tokens]) => acc + tokens, 0);
+    if (sum === 0 || !(total > 0)) return null;
+
+    const scaled = {};
+    let assigned = 0;
+    for (const [section, tokens] of entries) {
+        scaled[section] = Math.floor((tokens / sum) * total);
+        assigned += scaled[section];
+    }
+    // Rounding leftovers go to the largest section
+    const largest = entries.reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+    scaled[largest] += total - assigned;
+    return scaled;
+}
+
+/**
+ * Count the tokens each activated World Info entry adds to the prompt
+ * @param {Object[]} entries - Entries from WORLD_INFO_ACTIVATED
+ * @returns {Promise<Array<{key: string, name: string, world: string, constant: boolean, tokens: number}>>}
+ */
+async function countWorldInfoEntries(entries) {
+    const injected = entries.filter(entry => entry?.content);
+    const counts = await countTokensBatch(injected.map(entry => String(entry.content)));
+    return injected.map((entry, i) => {
+        const world = String(entry.world || '');
+        const keywords = Array.isArray(entry.key) ? entry.key.filter(Boolean).join(', ') : '';
+        return {
+            key: `${world}/${entry.uid}`,
+            name: String(entry.comment || keywords || `#${entry.uid}`),
+            world,
+            constant: !!entry.constant,
+            tokens: counts[i],
+        };
+    });
+}
+
+/**
+ * Render a stacked horizontal bar of prompt sections
+ * @param {Object<string, number>} composition - Section -> tokens
+ * @param {Object} [options]
+ * @param {boolean} [options.legend] - Also list each section's share below the bar
+ * @returns {string} HTML (empty if there is no composition)
+ */
+function renderCompositionBar(composition, { legend = false } = {}) {
+    const entries = Object.entries(composition || {}).filter(([, tokens]) => tokens > 0).sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((acc, [, tokens]) => acc + tokens, 0);
+    if (total === 0) return '';
+
+    const label = (section) => PROMPT_SECTIONS[section]?.label || section;
+    const color = (section) => PROMPT_SECTIONS[section]?.color || getPersistedColor('sectionColors', section);
+    const bar = entries.map(([section, tokens]) => {
+        const percent = (tokens / total) * 100;
+        return `<span style="width: ${percent.toFixed(2)}%; background: ${color(section)};" title="${escapeHtml(label(section))}: ${formatNumberFull(tokens)} tokens (${Math.round(percent)}%)"></span>`;
+    }).join('');
+
+    const legendHtml = legend
+        ? `<div class="token-usage-composition-legend">${entries.map(([section, tokens]) => `<span><span style="display: inline-block; width: 7px; height: 7px; border-radius: 2px; background: ${color(section)};"></span> ${escapeHtml(label(section))} ${formatTokens(tokens)} (${Math.round((tokens / total) * 100)}%)</span>`).join('')}</div>`
+        : '';
+    return `<div class="token-usage-composition-bar">${bar}</div>${legendHtml}`;
+}
+
+/**
+ * Chat-facing generations produce a chat message (MESSAGE_RECEIVED); quiet and impersonate ones don't
+ * @param {GenerationContext} generation
+ * @returns {boolean}
+ */
+function isChatGeneration(generation) {
+    return generation.type !== 'quiet' && generation.type !== 'impersonate';
+}
+
+/**
+ * Find an in-flight generation that has sent its prompt
+ * @param {function(GenerationContext): boolean} predicate
+ * @param {Object} [options]
+ * @param {boolean} [options.newest] - Prefer the most recently started generation instead of the oldest
+ * @returns {GenerationContext|null}
+ */
+function findActiveGeneration(predicate, { newest = false } = {}) {
+    const generations = [...activeGenerations.values()].filter(g => g.inputTokensPromise && predicate(g));
+    if (generations.length === 0) return null;
+    return newest ? generations[generations.length - 1] : generations[0];
+}
+
+/**
+ * Find an in-flight generation and stop tracking it, so its usage is recorded exactly once
+ * @param {function(GenerationContext): boolean} predicate
+ * @param {Object} [options] - Options as for findActiveGeneration
+ * @returns {GenerationContext|null}
+ */
+function takeActiveGeneration(predicate, options) {
+    const generation = findActiveGeneration(predicate, options);
+    if (generation) activeGenerations.delete(generation.id);
+    return generation;
+}
+
+/**
+ * Find the started generation that a GENERATE_AFTER_DATA payload belongs to.
+ * Quiet generations are matched by their quiet prompt; otherwise the newest generation still
+ * waiting for its prompt is used.
+ * @param {string|Array} prompt - Text completion prompt or chat completion messages
+ * @returns {GenerationContext|null}
+ */
+function matchGenerationForPrompt(prompt) {
+    const waiting = [...activeGenerations.values()].filter(g => !g.inputTokensPromise).reverse();
+    if (waiting.length === 0) return null;
+
+    const promptText = (typeof prompt === 'string' ? prompt : (Array.isArray(prompt) ? prompt.map(getMessageText).join('\n') : ''))
+        .replace(/\s+/g, ' ');
+    const byQuietPrompt = waiting.find(g => {
+        if (!g.quietPrompt) return false;
+        // Macros are substituted before sending, so only compare the text before the first one
+        const probe = g.quietPrompt.split('{{')[0].replace(/\s+/g, ' ').trim().slice(0, 80);
+        return probe.length >= 10 && promptText.includes(probe);
+    });
+
+    return byQuietPrompt || waiting.find(g => !g.quietPrompt) || waiting[0];
+}
+
+/**
+ * Handle GENERATE_AFTER_DATA event - start counting input tokens (non-blocking)
+ * @param {object} generate_data - The generation data containing the full prompt
+ * @param {boolean} dryRun - Whether this is a dry run (token counting only)
+ * @returns {Promise<void>|undefined} Pending while an expensive request waits for confirmation
+ *   (SillyTavern awaits the event before sending)
+ */
+function handleGenerateAfterData(generate_data, dryRun) {
+    // World Info activated while building this prompt belongs to it, dry run or not
+    const worldInfoEntries = lastActivatedWorldInfo;
+    lastActivatedWorldInfo = [];
+
+    // Don't count dry runs - they're just for token estimation, not actual API calls.
+    // The one we started ourselves prices the next request.
+    if (dryRun) {
+        if (sendEstimateDryRun) {
+            sendEstimateDryRun = false;
+            updateSendEstimate(generate_data).catch(e => {
+                console.error('[Token Usage Tracker] Error estimating the next request:', e);
+            });
+        }
+        return;
+    }
+
+    let generation = matchGenerationForPrompt(generate_data.prompt);
+    if (!generation) {
+        // Prompt sent without a GENERATION_STARTED we saw - track it as a normal generation
+        generation = createGenerationContext('normal');
+    }
+
+    // The request goes out right after this event - time it from here
+    generation.requestStartedAt = Date.now();
+
+    // Capture model ID and source ID synchronously (fast)
+    generation.modelId = getCurrentModelId();
+    generation.sourceId = getCurrentSourceId();
+    const profile = getConnectionProfileInfo(extension_settings.connectionManager?.selectedProfile);
+    generation.profileId = profile?.profileId ?? null;
+    generation.profileName = profile?.profileName ?? null;
+    const persona = getCurrentPersonaInfo();
+    generation.personaId = persona.personaId;
+    generation.personaName = persona.personaName;
+
+    // Watch for the provider's own usage report on the response to this prompt
+    generation.reportedUsagePromise = expectReportedUsage(generate_data.prompt, {
+        onFailure: (failure) => handleGenerationFailed(generation, failure),
+    });
+
+    // Start token counting but DON'T await - let it run in parallel with the API request
+    generation.inputTokensPromise = countInputTokens(generate_data, generation)
         .then(count => {
-            console.log(`[Token Usage Tracker] Input tokens (full context): ${count}, model: ${pendingModelId}, source: ${pendingSourceId}`);
+            console.log(`[Token Usage Tracker] Input tokens (full context): ${count}, model: ${generation.modelId}, source: ${generation.sourceId}, generation #${generation.id} (${generation.type})`);
             return count;
         })
         .catch(error => {
             console.error('[Token Usage Tracker] Error counting input tokens:', error);
             return 0;
         });
+
+    // Which prompt sections the input went to - only needed once the response is recorded
+    generation.compositionPromise = generation.inputTokensPromise
+        .then(count => getPromptComposition(generate_data, count, worldInfoEntries))
+        .catch(error => {
+            console.error('[Token Usage Tracker] Error computing prompt composition:', error);
+            return null;
+        });
+    generation.worldInfoPromise = countWorldInfoEntries(worldInfoEntries)
+        .catch(error => {
+            console.error('[Token Usage Tracker] Error counting World Info entries:', error);
+            return [];
+        });
+
+    // Requests the user will see the reply of can be held back for confirmation when expensive
+    if (generation.type !== 'quiet') {
+        return confirmExpensiveRequest(generation, getMaxOutputTokens(generate_data)).catch(error => {
+            console.error('[Token Usage Tracker] Error confirming an expensive request:', error);
+        });
+    }
+}
+
+/**
+ * Record a generation whose request the backend rejected. No MESSAGE_RECEIVED follows, so the
+ * generation is dropped here instead of lingering until the next one starts.
+ * @param {GenerationContext} generation
+ * @param {{status: number|null, message: string}} failure
+ */
+async function handleGenerationFailed(generation, failure) {
+    if (!activeGenerations.has(generation.id)) return;
+    activeGenerations.delete(generation.id);
+    recordHealthError(failure.message);
+    finishLiveStream(generation.id, null);
+
+    try {
+        const inputTokens = await generation.inputTokensPromise;
+        const chatId = isChatGeneration(generation) || generation.type === 'impersonate' ? getCurrentChatId() : null;
+        recordUsage(inputTokens, 0, chatId, generation.modelId, generation.sourceId, 0, {
+            type: generation.type,
+            profileId: generation.profileId,
+            profileName: generation.profileName,
+            personaId: generation.personaId,
+            personaName: generation.personaName,
+            feature: generation.feature,
+            failure,
+        });
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error recording failed generation:', e);
+    }
+}
+
+/**
+ * Create and register a context for a new generation
+ * @param {string} type - Generation type
+ * @param {string|null} [quietPrompt] - Quiet prompt, if any
+ * @returns {GenerationContext}
+ */
+function createGenerationContext(type, quietPrompt = null) {
+    const generation = {
+        id: nextGenerationId++,
+        type,
+        quietPrompt: typeof quietPrompt === 'string' && quietPrompt ? quietPrompt : null,
+        modelId: null,
+        sourceId: null,
+        profileId: null,
+        profileName: null,
+        personaId: null,
+        personaName: null,
+        inputTokensPromise: null,
+        compositionPromise: null,
+        worldInfoPromise: null,
+        reportedUsagePromise: null,
+        preContinuePromise: null,
+        requestStartedAt: null,
+        firstTokenAt: null,
+        quietOutput: null,
+        claimed: false,
+        feature: type === 'quiet' ? getCallerFeature() : null,
+    };
+
+    // Hand the generation to a background wrapper that is waiting for it
+    const claim = [...generationClaims].find(c => !c.generation && c.matches(generation));
+    if (claim) {
+        claim.generation = generation;
+        generation.claimed = true;
+    }
+
+    activeGenerations.set(generation.id, generation);
+    return generation;
 }
 
 /**
- * Handle GENERATION_STARTED event - capture pre-continue state
+ * Handle GENERATION_STARTED event - create the generation's context and capture pre-continue state
  * This fires before the API call, allowing us to snapshot the current message state
  * for 'continue' type generations so we can calculate the delta later.
  * @param {string} type - Generation type: 'normal', 'continue', 'swipe', 'regenerate', 'quiet', etc.
  * @param {object} params - Generation parameters
  * @param {boolean} isDryRun - Whether this is a dry run
  */
-let isQuietGeneration = false;
-let isImpersonateGeneration = false;
-let pendingQuietOutput = null;
-
 function handleGenerationStarted(type, params, isDryRun) {
     if (isDryRun) return;
 
     // Check if we need to fetch OpenRouter pricing (fire and forget)
     maybeAutoFetchOpenRouterPricing();
 
-    // Track the generation type for special handling
-    isQuietGeneration = (type === 'quiet');
-    isImpersonateGeneration = (type === 'impersonate');
+    const generationType = type || 'normal';
+
+    // World Info left over from a prompt we never saw sent must not be credited to this one
+    lastActivatedWorldInfo = [];
 
-    // Reset pre-continue state
-    preContinueTokenCount = 0;
+    // Only one chat-facing generation runs at a time - an older one still here failed without completing
+    if (generationType !== 'quiet') {
+        for (const stale of activeGenerations.values()) {
+            if (stale.type !== 'quiet') {
+                console.log(`[Token Usage Tracker] Dropping generation #${stale.id} (${stale.type}) that never completed`);
+                activeGenerations.delete(stale.id);
+            }
+        }
+    }
+
+    const generation = createGenerationContext(generationType, params?.quiet_prompt);
 
     // For continue type, capture the current message's token count
     // Store a promise that will resolve to the pre-continue token count
-    if (type === 'continue') {
+    if (generationType === 'continue') {
         try {
             const context = getContext();
             const lastMessage = context.chat[context.chat.length - 1];
@@ -837,21 +3530,18 @@ function handleGenerationStarted(type, params, isDryRun) {
             if (lastMessage) {
                 // Use existing token count if available (synchronous - fast path)
                 if (lastMessage.extra?.token_count && typeof lastMessage.extra.token_count === 'number') {
-                    preContinueTokenCount = lastMessage.extra.token_count;
-                    pendingPreContinuePromise = Promise.resolve(lastMessage.extra.token_count);
+                    generation.preContinuePromise = Promise.resolve(lastMessage.extra.token_count);
                 } else {
                     // Calculate it ourselves - store as a promise so we can await it later
-                    pendingPreContinuePromise = (async () => {
+                    generation.preContinuePromise = (async () => {
                         try {
                             let tokens = await countTokens(lastMessage.mes || '');
                             if (lastMessage.extra?.reasoning) {
                                 tokens += await countTokens(lastMessage.extra.reasoning);
                             }
-                            preContinueTokenCount = tokens;
                             return tokens;
                         } catch (error) {
                             console.error('[Token Usage Tracker] Error calculating pre-continue tokens:', error);
-                            preContinueTokenCount = 0;
                             return 0;
                         }
                     })();
@@ -859,8 +3549,7 @@ function handleGenerationStarted(type, params, isDryRun) {
             }
         } catch (error) {
             console.error('[Token Usage Tracker] Error capturing pre-continue state:', error);
-            preContinueTokenCount = 0;
-            pendingPreContinuePromise = Promise.resolve(0);
+            generation.preContinuePromise = Promise.resolve(0);
         }
     }
 }
@@ -882,19 +3571,20 @@ async function handleMessageReceived(messageIndex, type) {
         return;
     }
 
-    // If there's no pending token counting promise, this likely isn't a real API response
-    // (e.g., could be a late-firing event after chat load)
-    if (!pendingInputTokensPromise) {
-        console.log(`[Token Usage Tracker] Skipping message with no pending token count (type: ${type || 'unknown'})`);
+    // The oldest chat-facing generation that sent its prompt is the one this message answers.
+    // If there is none, this likely isn't a real API response (e.g. a late-firing event after chat load)
+    const context = getContext();
+    const message = context.chat[messageIndex];
+    if (!message || !message.mes) return;
+
+    const generation = takeActiveGeneration(isChatGeneration);
+    if (!generation) {
+        console.log(`[Token Usage Tracker] Skipping message with no pending generation (type: ${type || 'unknown'})`);
         return;
     }
+    const timing = { startedAt: generation.requestStartedAt, firstTokenAt: generation.firstTokenAt, finishedAt: Date.now() };
 
     try {
-        const context = getContext();
-        const message = context.chat[messageIndex];
-
-        if (!message || !message.mes) return;
-
         let outputTokens;
         let reasoningTokens = 0;
 
@@ -923,10 +3613,10 @@ async function handleMessageReceived(messageIndex, type) {
         // For 'continue' type, we only want the newly generated tokens, not the full message
         // Subtract the pre-continue token count to get just the delta
         // Await the promise to ensure the async calculation has completed
-        if (type === 'continue') {
-            if (pendingPreContinuePromise) {
-                preContinueTokenCount = await pendingPreContinuePromise;
-                pendingPreContinuePromise = null;
+        let preContinueTokenCount = 0;
+        if (type === 'continue' || generation.type === 'continue') {
+            if (generation.preContinuePromise) {
+                preContinueTokenCount = await generation.preContinuePromise;
             }
             if (preContinueTokenCount > 0) {
                 const originalOutputTokens = outputTokens;
@@ -935,24 +3625,32 @@ async function handleMessageReceived(messageIndex, type) {
             }
         }
 
-        // Reset pre-continue state
-        const savedPreContinueCount = preContinueTokenCount;
-        preContinueTokenCount = 0;
-        pendingPreContinuePromise = null;
-
         // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        const sourceId = pendingSourceId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        pendingSourceId = null;
+        const estimatedInputTokens = await generation.inputTokensPromise;
+        const { modelId, sourceId } = generation;
 
-        const chatId = getCurrentChatId();
+        // Prefer the provider's own counts - for continues they already cover only the new tokens
+        const estimate = { input: estimatedInputTokens, output: outputTokens, reasoning: reasoningTokens };
+        const usage = resolveUsage(estimate, await awaitReportedUsage(generation.reportedUsagePromise), modelId);
 
-        recordUsage(inputTokens, outputTokens, chatId, modelId, sourceId, reasoningTokens);
+        const chatId = getCurrentChatId();
+        const generationType = generation.type || type || 'normal';
+        const swipeId = message.swipe_id ?? 0;
+        const messageLink = { index: messageIndex, swipeId, sendDate: getSwipeSendDate(message, swipeId) };
+        // In group chats the reply is credited to the member who spoke
+        const speaker = context.groupId && message.original_avatar
+            ? { characterId: message.original_avatar, characterName: message.name }
+            : undefined;
+
+        const record = recordUsage(usage.input, usage.output, chatId, modelId, sourceId, usage.reasoning, { reported: usage.reported, estimate, cacheRead: usage.cacheRead, cacheWrite: usage.cacheWrite, calibration: usage.calibration, type: generationType, profileId: generation.profileId, profileName: generation.profileName, personaId: generation.personaId, personaName: generation.personaName, composition: await generation.compositionPromise, worldInfo: await generation.worldInfoPromise, feature: generation.feature, message: messageLink, character: speaker, timing });
+        finishLiveStream(generation.id, record);
+        scheduleReconcileMessageOutcomes();
+        updateSendEstimateFromRequest(estimate.input, estimate.output).catch(e => {
+            console.error('[Token Usage Tracker] Error estimating the next request:', e);
+        });
+        await attachUsageToMessage(record);
 
-        console.log(`[Token Usage Tracker] Recorded exchange: ${inputTokens} in, ${outputTokens} out, ${reasoningTokens} reasoning, model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'}${savedPreContinueCount > 0 ? ' (continue delta)' : ''}`);
+        console.log(`[Token Usage Tracker] Recorded exchange: ${usage.input} in, ${usage.output} out, ${usage.reasoning} reasoning (${usage.reported ? 'reported' : 'estimated'}), model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'}${preContinueTokenCount > 0 ? ' (continue delta)' : ''}`);
     } catch (error) {
         console.error('[Token Usage Tracker] Error counting output tokens:', error);
     }
@@ -964,8 +3662,13 @@ async function handleMessageReceived(messageIndex, type) {
  * along with any partial output tokens that were generated before stopping.
  */
 async function handleGenerationStopped() {
-    // If there's no pending token counting promise, nothing to record
-    if (!pendingInputTokensPromise) return;
+    // The stop button aborts the chat-facing generation (or an impersonation) - quiet ones are flushed separately
+    const generation = takeActiveGeneration(isChatGeneration, { newest: true })
+        ?? takeActiveGeneration(g => g.type === 'impersonate', { newest: true });
+    if (!generation) return;
+    const timing = { startedAt: generation.requestStartedAt, firstTokenAt: generation.firstTokenAt, finishedAt: Date.now() };
+    // A stopped stream leaves its partial reply in the chat - read which message before any await
+    const streamedIndex = generation.type !== 'impersonate' && streamingProcessor ? Number(streamingProcessor.messageId) : NaN;
 
     try {
         let outputTokens = 0;
@@ -986,82 +3689,339 @@ async function handleGenerationStopped() {
             }
         }
 
-        // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        const sourceId = pendingSourceId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        pendingSourceId = null;
-        preContinueTokenCount = 0; // Reset continue state too
+        // Await the input token counting that was started in handleGenerateAfterData
+        const estimatedInputTokens = await generation.inputTokensPromise;
+        const { modelId, sourceId } = generation;
+
+        // Aborted streams rarely carry a usage report, but use it if the provider sent one
+        const estimate = { input: estimatedInputTokens, output: outputTokens, reasoning: reasoningTokens };
+        const usage = resolveUsage(estimate, await awaitReportedUsage(generation.reportedUsagePromise), modelId);
+
+        const chatId = getCurrentChatId();
+        const generationType = generation.type;
+        const message = Number.isInteger(streamedIndex) && streamedIndex >= 0 ? getContext().chat?.[streamedIndex] : null;
+        let messageLink;
+        let speaker;
+        if (message && !message.is_user) {
+            const swipeId = message.swipe_id ?? 0;
+            messageLink = { index: streamedIndex, swipeId, sendDate: getSwipeSendDate(message, swipeId) };
+            if (getContext().groupId && message.original_avatar) {
+                speaker = { characterId: message.original_avatar, characterName: message.name };
+            }
+        }
+
+        // Record the usage - input tokens were sent even if generation was stopped
+        const record = recordUsage(usage.input, usage.output, chatId, modelId, sourceId, usage.reasoning, { reported: usage.reported, estimate, cacheRead: usage.cacheRead, cacheWrite: usage.cacheWrite, calibration: usage.calibration, type: generationType, profileId: generation.profileId, profileName: generation.profileName, personaId: generation.personaId, personaName: generation.personaName, composition: await generation.compositionPromise, worldInfo: await generation.worldInfoPromise, feature: generation.feature, message: messageLink, character: speaker, timing });
+        finishLiveStream(generation.id, record);
+        if (messageLink) {
+            scheduleReconcileMessageOutcomes();
+            await attachUsageToMessage(record);
+        }
+
+        console.log(`[Token Usage Tracker] Recorded stopped generation: ${usage.input} in, ${usage.output} out, ${usage.reasoning} reasoning (partial, ${usage.reported ? 'reported' : 'estimated'}), model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'}`);
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error handling stopped generation:', error);
+    }
+}
+
+/**
+ * Handle chat changed event
+ */
+function handleChatChanged(chatId) {
+    // Drop in-flight generations when chat changes to prevent cross-chat counting
+    // (quiet generations were already flushed by the background listeners; claimed ones are
+    // recorded by the wrapper that is waiting for them)
+    for (const generation of activeGenerations.values()) {
+        if (!generation.claimed) activeGenerations.delete(generation.id);
+    }
+    finishLiveStream(null, null);
+    lastActivatedWorldInfo = [];
+    console.log(`[Token Usage Tracker] Chat changed to: ${chatId}`);
+    eventSource.emit('tokenUsageUpdated', getUsageStats());
+}
+
+/**
+ * Handle impersonate ready event - count output tokens for impersonation
+ * This fires when impersonation completes and puts text into the input field
+ * @param {string} text - The generated impersonation text
+ */
+async function handleImpersonateReady(text) {
+    const generation = takeActiveGeneration(g => g.type === 'impersonate');
+    if (!generation) return;
+    const timing = { startedAt: generation.requestStartedAt, firstTokenAt: generation.firstTokenAt, finishedAt: Date.now() };
+
+    try {
+        // Await the input token counting that was started in handleGenerateAfterData
+        const estimatedInputTokens = await generation.inputTokensPromise;
+        const { modelId, sourceId } = generation;
+
+        // Count output tokens from the impersonated text
+        let outputTokens = 0;
+        if (text && typeof text === 'string') {
+            outputTokens = await countTokens(text);
+        }
+
+        const estimate = { input: estimatedInputTokens, output: outputTokens, reasoning: 0 };
+        const usage = resolveUsage(estimate, await awaitReportedUsage(generation.reportedUsagePromise), modelId);
+
+        const chatId = getCurrentChatId();
+
+        const record = recordUsage(usage.input, usage.output, chatId, modelId, sourceId, usage.reasoning, { reported: usage.reported, estimate, cacheRead: usage.cacheRead, cacheWrite: usage.cacheWrite, calibration: usage.calibration, type: 'impersonate', profileId: generation.profileId, profileName: generation.profileName, personaId: generation.personaId, personaName: generation.personaName, composition: await generation.compositionPromise, worldInfo: await generation.worldInfoPromise, timing });
+        finishLiveStream(generation.id, record);
+    } catch (error) {
+        console.error('[Token Usage Tracker] Error handling impersonate ready:', error);
+    }
+}
+
+/**
+ * Handle STREAM_TOKEN_RECEIVED - the chat generation (or impersonation) being streamed got a chunk.
+ * The first chunk marks its time to first token; every chunk schedules a live count update.
+ */
+function handleStreamTokenReceived() {
+    const generation = findActiveGeneration(g => g.type !== 'quiet' && g.requestStartedAt, { newest: true });
+    if (!generation) return;
+
+    if (!generation.firstTokenAt) generation.firstTokenAt = Date.now();
+    scheduleLiveStreamUpdate(generation);
+}
+
+// Quiet time after chat or connection changes before the next request is re-estimated
+const SEND_ESTIMATE_DELAY = 1000;
+
+/**
+ * Estimate of the next chat request plus the text typed so far. The prompt comes from the last
+ * chat request and its reply, or from a dry-run prompt build (on demand, or on changes if enabled).
+ * @type {{promptTokens: number, draftTokens: number, maxOutput: number, fromLastRequest: boolean}|null}
+ */
+let sendEstimate = null;
+// A dry run we started is building its prompt - its GENERATE_AFTER_DATA is the estimate
+let sendEstimateDryRun = false;
+let sendEstimateTimer = null;
+
+/**
+ * Re-estimate the next request once chat and connection changes settle (only if automatic refresh is on)
+ */
+function scheduleSendEstimate() {
+    if (!getSettings().sendEstimate?.autoRefresh) return;
+    clearTimeout(sendEstimateTimer);
+    sendEstimateTimer = setTimeout(() => {
+        refreshSendEstimate().catch(e => {
+            console.error('[Token Usage Tracker] Error refreshing the send estimate:', e);
+        });
+    }, SEND_ESTIMATE_DELAY);
+}
+
+/**
+ * Build the next prompt as a dry run so its input can be counted. Nothing is sent to the API.
+ */
+async function refreshSendEstimate() {
+    if (!getSettings().sendEstimate?.enabled || !getCurrentChatId()) {
+        sendEstimate = null;
+        renderSendEstimate();
+        return;
+    }
+    // Never build a prompt while a reply is being generated
+    if (findActiveGeneration(g => g.type !== 'quiet')) return;
+
+    const context = getContext();
+    if (typeof context.generate !== 'function') return;
+
+    sendEstimateDryRun = true;
+    try {
+        await context.generate('normal', {}, true);
+    } finally {
+        sendEstimateDryRun = false;
+    }
+}
+
+/**
+ * Get the context size set for the current API
+ * @returns {number} Tokens, or 0 if unknown
+ */
+function getMaxContextSetting() {
+    if (main_api === 'openai') return Number(oai_settings.openai_max_context) || 0;
+    return Number($('#max_context').val()) || 0;
+}
+
+/**
+ * Get the most output tokens a request may generate
+ * @param {object} generate_data - Prompt data of the request
+ * @returns {number}
+ */
+function getMaxOutputTokens(generate_data) {
+    // Text completion payloads carry their own limit; chat completion only sends the prompt here
+    const fromPayload = Number(generate_data?.max_tokens ?? generate_data?.max_new_tokens ?? generate_data?.max_length);
+    if (Number.isFinite(fromPayload) && fromPayload > 0) return fromPayload;
+    if (main_api === 'openai') return Number(oai_settings.openai_max_tokens) || 0;
+    return Number($('#amount_gen').val()) || 0;
+}
 
-        const chatId = getCurrentChatId();
+/**
+ * Count a dry-run prompt and the draft in the send box, then show the estimate
+ * @param {object} generate_data - Prompt data of the dry run
+ */
+async function updateSendEstimate(generate_data) {
+    const modelId = getCurrentModelId();
+    const [promptTokens, draftTokens] = await Promise.all([
+        countInputTokens(generate_data, { modelId, sourceId: getCurrentSourceId() }),
+        countTokens(String($('#send_textarea').val() || '')),
+    ]);
+    sendEstimate = { promptTokens, draftTokens, maxOutput: getMaxOutputTokens(generate_data), fromLastRequest: false };
+    renderSendEstimate();
+}
 
-        // Record the usage - input tokens were sent even if generation was stopped
-        recordUsage(inputTokens, outputTokens, chatId, modelId, sourceId, reasoningTokens);
+/**
+ * Estimate the next request from the chat request that just completed: its prompt plus the reply,
+ * which becomes part of the history. Costs nothing, unlike a dry run.
+ * @param {number} promptTokens - Local count of the prompt that was sent
+ * @param {number} replyTokens - Local count of the reply
+ */
+async function updateSendEstimateFromRequest(promptTokens, replyTokens) {
+    if (!getSettings().sendEstimate?.enabled) return;
+    const draftTokens = await countTokens(String($('#send_textarea').val() || ''));
+    sendEstimate = { promptTokens: promptTokens + replyTokens, draftTokens, maxOutput: getMaxOutputTokens(null), fromLastRequest: true };
+    renderSendEstimate();
+}
 
-        console.log(`[Token Usage Tracker] Recorded stopped generation: ${inputTokens} in, ${outputTokens} out, ${reasoningTokens} reasoning (partial), model: ${modelId || 'unknown'}, source: ${sourceId || 'unknown'}`);
-    } catch (error) {
-        console.error('[Token Usage Tracker] Error handling stopped generation:', error);
-        // Reset pending tokens even on error to prevent double counting
-        pendingInputTokensPromise = null;
-        preContinueTokenCount = 0;
-    }
+/**
+ * Drop the estimate when it no longer applies (another chat was opened)
+ */
+function clearSendEstimate() {
+    sendEstimate = null;
+    renderSendEstimate();
 }
 
 /**
- * Handle chat changed event
+ * Recount the draft in the send box (the prompt estimate stays as it is)
  */
-function handleChatChanged(chatId) {
-    // Reset pending tokens when chat changes to prevent cross-chat counting
-    pendingInputTokensPromise = null;
-    pendingModelId = null;
-    pendingSourceId = null;
-    preContinueTokenCount = 0;
-    isQuietGeneration = false;
-    isImpersonateGeneration = false;
-    console.log(`[Token Usage Tracker] Chat changed to: ${chatId}`);
-    eventSource.emit('tokenUsageUpdated', getUsageStats());
+async function updateSendEstimateDraft() {
+    if (!sendEstimate) return;
+    sendEstimate.draftTokens = await countTokens(String($('#send_textarea').val() || ''));
+    renderSendEstimate();
 }
 
 /**
- * Handle impersonate ready event - count output tokens for impersonation
- * This fires when impersonation completes and puts text into the input field
- * @param {string} text - The generated impersonation text
+ * Price the current send estimate for the selected model, corrected by its tokenizer calibration
+ * @returns {{input: number, maxOutput: number, tokens: number, inputCost: number, outputCost: number, cost: number, modelId: string|null}|null}
+ *   cost assumes the reply uses all of max tokens
  */
-async function handleImpersonateReady(text) {
-    if (!pendingInputTokensPromise) return;
+function getSendEstimate() {
+    if (!sendEstimate) return null;
 
-    try {
+    return priceRequest(sendEstimate.promptTokens + sendEstimate.draftTokens, sendEstimate.maxOutput, getCurrentModelId());
+}
 
-        // Await the input token counting that was started in handleGenerateAfterData
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        const sourceId = pendingSourceId;
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        pendingSourceId = null;
+/**
+ * Price a request for a model, its locally counted input corrected by the model's tokenizer calibration
+ * @param {number} promptTokens - Local count of the input
+ * @param {number} maxOutput - Most output tokens the request may generate
+ * @param {string|null} modelId
+ * @returns {{input: number, maxOutput: number, tokens: number, inputCost: number, outputCost: number, cost: number, modelId: string|null}}
+ */
+function priceRequest(promptTokens, maxOutput, modelId) {
+    const factors = getTokenizerCalibration(modelId);
+    const input = Math.round(promptTokens * (factors?.input ?? 1));
+    const inputCost = modelId ? calculateCost(input, 0, modelId) : 0;
+    const outputCost = modelId ? calculateCost(0, maxOutput, modelId) : 0;
+    return {
+        input,
+        maxOutput,
+        tokens: input + maxOutput,
+        inputCost,
+        outputCost,
+        cost: inputCost + outputCost,
+        modelId,
+    };
+}
 
-        // Count output tokens from the impersonated text
-        let outputTokens = 0;
-        if (text && typeof text === 'string') {
-            outputTokens = await countTokens(text);
-        }
+/**
+ * Show the estimate of the next request next to the send button
+ */
+function renderSendEstimate() {
+    let badge = $('#token-usage-send-estimate');
+    if (badge.length === 0) {
+        const sendButton = $('#send_but');
+        if (sendButton.length === 0) return;
+        badge = $('<div id="token-usage-send-estimate" class="token-usage-send-estimate"></div>');
+        // Clicking builds the next prompt as a dry run and counts it
+        badge.on('click', () => {
+            refreshSendEstimate().catch(e => {
+                console.error('[Token Usage Tracker] Error refreshing the send estimate:', e);
+            });
+        });
+        sendButton.before(badge);
+    }
 
-        const chatId = getCurrentChatId();
+    if (!getSettings().sendEstimate?.enabled || !getCurrentChatId()) {
+        badge.hide();
+        return;
+    }
+    const estimate = getSendEstimate();
+    if (!estimate) {
+        badge.text('~?');
+        badge.attr('title', 'Click to estimate the next request (builds the prompt as a dry run; nothing is sent, but World Info and other extensions\' prompt hooks run)');
+        badge.removeClass('over-threshold');
+        badge.show();
+        return;
+    }
 
-        recordUsage(inputTokens, outputTokens, chatId, modelId, sourceId);
+    const costText = estimate.cost > 0 ? ` · ≤$${estimate.cost < 0.01 ? estimate.cost.toFixed(4) : estimate.cost.toFixed(2)}` : '';
+    // Without a dry run the figure is the last request plus its reply, and is labelled as such
+    badge.text(`${sendEstimate.fromLastRequest ? 'last ' : ''}~${formatTokens(estimate.input)}${costText}`);
+    badge.attr('title', [
+        sendEstimate.fromLastRequest
+            ? `Last request to ${estimate.modelId || 'unknown model'} plus its reply (not a count of the next prompt):`
+            : `Next request to ${estimate.modelId || 'unknown model'} (dry-run prompt):`,
+        `~${formatNumberFull(estimate.input)} input tokens${estimate.inputCost > 0 ? ` ($${estimate.inputCost.toFixed(4)})` : ''}`,
+        `Up to ${formatNumberFull(estimate.maxOutput)} output tokens${estimate.outputCost > 0 ? ` ($${estimate.outputCost.toFixed(4)})` : ''}`,
+        estimate.cost > 0 ? `At most $${estimate.cost.toFixed(4)}` : 'Set prices for this model to see the cost',
+        '',
+        sendEstimate.fromLastRequest ? 'Click to build the next prompt as a dry run and count it' : 'Click to rebuild the prompt as a dry run and count it',
+    ].join('\n'));
+    badge.toggleClass('over-threshold', isOverSendThreshold(estimate));
+    badge.show();
+}
 
+/**
+ * Check an estimate against the confirmation thresholds
+ * @param {{tokens: number, cost: number}} estimate
+ * @returns {boolean}
+ */
+function isOverSendThreshold(estimate) {
+    const { confirmCost, confirmTokens } = getSettings().sendEstimate || {};
+    return (confirmCost > 0 && estimate.cost > confirmCost) || (confirmTokens > 0 && estimate.tokens > confirmTokens);
+}
 
-        // Reset impersonate state
-        isImpersonateGeneration = false;
-    } catch (error) {
-        console.error('[Token Usage Tracker] Error handling impersonate ready:', error);
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        pendingSourceId = null;
-        isImpersonateGeneration = false;
-    }
+/**
+ * Ask before a chat request above a confirmation threshold goes out, and stop the generation if
+ * the user declines. Called from GENERATE_AFTER_DATA, which SillyTavern awaits before sending, so
+ * the prompt counted is the one about to be sent (swipes, regenerations and continues included)
+ * and dry runs, which send nothing, never ask.
+ * @param {GenerationContext} generation - The generation making the request
+ * @param {number} maxOutput - Most output tokens the request may generate
+ * @returns {Promise<boolean>} False if the user declined (the generation is dropped)
+ */
+async function confirmExpensiveRequest(generation, maxOutput) {
+    const { enabled, confirmCost, confirmTokens } = getSettings().sendEstimate || {};
+    if (!enabled || !(confirmCost > 0 || confirmTokens > 0)) return true;
+
+    const estimate = priceRequest(await generation.inputTokensPromise, maxOutput, generation.modelId);
+    if (!isOverSendThreshold(estimate)) return true;
+
+    const message = [
+        `This request is estimated at ~${formatNumberFull(estimate.input)} input tokens plus up to ${formatNumberFull(estimate.maxOutput)} output tokens`,
+        estimate.cost > 0 ? `(at most $${estimate.cost.toFixed(4)} with ${estimate.modelId}).` : `with ${estimate.modelId || 'an unknown model'}.`,
+        '',
+        'Send it anyway?',
+    ].join('\n');
+    if (await callGenericPopup(`<div style="white-space: pre-line; text-align: left;">${escapeHtml(message)}</div>`, POPUP_TYPE.CONFIRM)) return true;
+
+    // Nothing was sent, so there is nothing to record (dropped before the stop event looks for it)
+    activeGenerations.delete(generation.id);
+    finishLiveStream(generation.id, null);
+    stopGeneration();
+    toastr.info('Generation cancelled');
+    return false;
 }
 
 function registerSlashCommands() {
@@ -1076,6 +4036,7 @@ function registerSlashCommands() {
                 `This Week: ${stats.thisWeek.total} tokens`,
                 `This Month: ${stats.thisMonth.total} tokens`,
                 `All Time: ${stats.allTime.total} tokens`,
+                `Provider-reported: ${getReportedShare(stats.allTime).percent}% of messages (rest estimated locally)`,
             ].join('\n');
             return output;
         },
@@ -1108,7 +4069,7 @@ function registerSlashCommands() {
             let totalCost = 0;
 
             for (const [modelId, data] of Object.entries(byModel)) {
-                const cost = calculateCost(data.input, data.output, modelId);
+                const cost = calculateBucketCost(data, modelId);
                 totalCost += cost;
                 if (cost > 0) {
                     lines.push(`• ${modelId}: $${cost.toFixed(4)} (${formatNumberFull(data.input)} in, ${formatNumberFull(data.output)} out)`);
@@ -1138,6 +4099,7 @@ function registerSlashCommands() {
                 `Output: ${formatNumberFull(stats.today.output || 0)} tokens`,
                 `Messages: ${stats.today.messageCount || 0}`,
                 `Efficiency: ${efficiency.ratio.toFixed(2)}× out/in, ${formatTokens(efficiency.perMessage)}/msg`,
+                `Cache: ${formatNumberFull(stats.today.cacheRead || 0)} read, ${formatNumberFull(stats.today.cacheWrite || 0)} write (${Math.round(efficiency.cacheHitRatio * 100)}% hit ratio)`,
             ].join('\n');
         },
         returns: "Today's token usage",
@@ -1164,6 +4126,7 @@ function registerSlashCommands() {
                 `Output: ${formatNumberFull(chatUsage.output)} tokens`,
                 `Messages: ${chatUsage.messageCount}`,
                 `Efficiency: ${efficiency.ratio.toFixed(2)}× out/in, ${formatTokens(efficiency.perMessage)}/msg`,
+                ...formatTypeSplit(chatUsage.types),
             ].join('\n');
         },
         returns: 'Current chat token usage',
@@ -1217,6 +4180,273 @@ function registerSlashCommands() {
         ],
     }));
 
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenrebuild',
+        callback: async (args, value) => {
+            const mode = String(value || '').trim() || 'auto';
+            try {
+                const result = rebuildAggregates({ mode });
+                if (result.diff.length === 0) {
+                    return `Aggregates already match the ${result.mode} data. Nothing to rebuild.`;
+                }
+                return [
+                    result.applied ? `**Rebuilt aggregates from ${result.mode}:**` : `**Rebuild from ${result.mode} cancelled.** Pending changes:`,
+                    ...result.diff.map(line => `• ${line}`),
+                ].join('\n');
+            } catch (error) {
+                return `Rebuild failed: ${error.message}`;
+            }
+        },
+        returns: 'Rebuild diff',
+        helpString: 'Recomputes token usage totals. /tokenrebuild records rebuilds everything from the generation ledger; /tokenrebuild days rebuilds totals, weeks, months, models and sources from each day\'s model/source breakdown. Without an argument, records is used when the ledger covers all history. Shows the changes and asks before writing.',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Rebuild source: records or days',
+                typeList: ['string'],
+                isRequired: false,
+                enumList: ['records', 'days'],
+            }),
+        ],
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenbackfill',
+        callback: async () => {
+            try {
+                const result = await backfillUsageFromChats();
+                const skipped = [
+                    result.skippedLive > 0 ? `${formatNumberFull(result.skippedLive)} on days that already have usage` : null,
+                    result.undated > 0 ? `${formatNumberFull(result.undated)} without a date` : null,
+                    result.failedChats > 0 ? `${result.failedChats} unreadable chats` : null,
+                ].filter(Boolean);
+                const lines = result.records === 0
+                    ? [`Nothing to backfill from ${result.chats} chats.`]
+                    : [
+                        result.applied ? '**Backfilled usage from chat history:**' : '**Backfill cancelled.** Would have added:',
+                        `• ${formatNumberFull(result.records)} generations from ${result.chats} chats`,
+                        `• ~${formatNumberFull(result.tokens)} estimated tokens`,
+                    ];
+                if (skipped.length > 0) lines.push(`Skipped: ${skipped.join(', ')}`);
+                return lines.join('\n');
+            } catch (error) {
+                return `Backfill failed: ${error.message}`;
+            }
+        },
+        returns: 'Backfill summary',
+        helpString: 'Estimates usage from before the extension was installed by reading every stored chat. Each AI reply and swipe becomes a ledger record flagged as backfilled: output from the stored token counts, input estimated from the chat history before it, cost at current prices. Days that already have usage are skipped so nothing is counted twice. Asks before writing.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenfeatures',
+        callback: async () => {
+            const rows = getUsageBreakdown('feature');
+            if (rows.length === 0) {
+                return 'No feature usage recorded yet.';
+            }
+
+            const todayFeatures = getSettings().usage.byDay[getDayKey()]?.features || {};
+            const lines = ['**Usage by Feature (all time):**'];
+            for (const row of rows) {
+                const today = todayFeatures[row.key]?.total || 0;
+                const cost = row.cost ? `, $${row.cost.toFixed(4)}` : '';
+                lines.push(`• ${row.label}: ${formatNumberFull(row.total)} tokens, ${row.messageCount} calls${cost}${today ? ` (today: ${formatNumberFull(today)})` : ''}`);
+            }
+            return lines.join('\n');
+        },
+        returns: 'Usage by feature',
+        helpString: 'Displays token usage per feature: chat, impersonation, and each extension or STscript that made background requests.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokencharacters',
+        callback: async (args, value) => {
+            const showGroups = String(value || '').trim() === 'groups';
+            const rows = getUsageBreakdown(showGroups ? 'group' : 'character');
+            if (rows.length === 0) {
+                return showGroups ? 'No group chat usage recorded yet.' : 'No character usage recorded yet.';
+            }
+
+            const buckets = getSettings().usage[showGroups ? 'byGroup' : 'byCharacter'];
+            const lines = [`**Usage by ${showGroups ? 'Group' : 'Character'} (all time):**`];
+            for (const row of rows) {
+                const cost = row.cost ? `, $${row.cost.toFixed(4)}` : '';
+                lines.push(`• ${row.label}: ${formatNumberFull(row.total)} tokens, ${row.messageCount} generations${cost}`);
+                // Which members of the group did the talking
+                if (showGroups) {
+                    const members = Object.entries(buckets[row.key]?.characters || {}).sort((a, b) => b[1].total - a[1].total);
+                    for (const [characterId, member] of members) {
+                        lines.push(`    ◦ ${formatCharacterName(characterId)}: ${formatNumberFull(member.total)} tokens`);
+                    }
+                }
+            }
+            return lines.join('\n');
+        },
+        returns: 'Usage by character or group',
+        helpString: 'Displays token usage and cost per character across all of their chats. Use /tokencharacters groups for group chats, with each member\'s share.',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Show groups instead of characters',
+                typeList: ['string'],
+                isRequired: false,
+                enumList: ['groups'],
+            }),
+        ],
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenwi',
+        callback: async (args, value) => {
+            const limit = Math.max(1, parseInt(String(value || ''), 10) || 10);
+            const rows = getWorldInfoLeaderboard({ limit });
+            if (rows.length === 0) {
+                return 'No World Info activations recorded yet.';
+            }
+
+            const lines = [`**Top ${rows.length} World Info entries by tokens injected:**`];
+            rows.forEach((row, i) => {
+                const cost = row.cost > 0 ? `, ~$${row.cost.toFixed(4)}` : '';
+                lines.push(`${i + 1}. ${row.constant ? '🔒 ' : ''}${row.name}${row.world ? ` (${row.world})` : ''}: ${formatNumberFull(row.tokens)} tokens over ${row.activations} activations (~${formatNumberFull(row.averageTokens)} each)${cost}`);
+            });
+            return lines.join('\n');
+        },
+        returns: 'World Info token leaderboard',
+        helpString: 'Lists the lorebook entries that have added the most tokens to prompts, with activation counts and estimated input cost. 🔒 marks always-on (constant) entries. Optionally pass how many to show (default 10).',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Number of entries to show',
+                typeList: ['number'],
+                isRequired: false,
+            }),
+        ],
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenerrors',
+        callback: async () => {
+            const allTime = getSettings().usage.allTime;
+            if (!allTime.failedCount) {
+                return 'No failed requests recorded.';
+            }
+
+            const lines = [
+                '**Failed requests (all time):**',
+                `Failed: ${allTime.failedCount}, error rate ${formatErrorRate(allTime.failedCount / ((allTime.messageCount || 0) + allTime.failedCount))}`,
+                `Possibly billed input: ${formatNumberFull(allTime.possiblyBilledInput || 0)} tokens (not included in totals)`,
+            ];
+            for (const dimension of ['model', 'source']) {
+                const rows = getUsageBreakdown(dimension).filter(row => row.failedCount > 0).sort((a, b) => b.errorRate - a.errorRate);
+                if (rows.length === 0) continue;
+                lines.push(`**By ${BREAKDOWN_DIMENSIONS[dimension].label.toLowerCase()}:**`);
+                for (const row of rows) {
+                    lines.push(`• ${row.label}: ${row.failedCount} of ${row.messageCount + row.failedCount} failed (${formatErrorRate(row.errorRate)}), ${formatNumberFull(row.possiblyBilledInput)} input possibly billed`);
+                }
+            }
+
+            const lastFailure = [...getLedger()].reverse().find(record => record.status === 'failed' && !record.voided);
+            if (lastFailure) {
+                lines.push(`Last error (${new Date(lastFailure.timestamp).toLocaleString()}): ${lastFailure.error}`);
+            }
+            return lines.join('\n');
+        },
+        returns: 'Failed request statistics',
+        helpString: 'Shows how many generation requests failed, the error rate per model and source, and the input tokens that providers may have billed for them.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenspeed',
+        callback: async (args, value) => {
+            const dimension = String(value || '').trim() === 'sources' ? 'source' : 'model';
+            const rows = getSpeedStats({ dimension });
+            if (rows.length === 0) {
+                return 'No timed generations recorded yet.';
+            }
+
+            const lines = [`**Speed by ${dimension} (p50 / p95):**`];
+            for (const row of rows) {
+                lines.push(`• ${dimension === 'source' ? formatSourceName(row.key) : row.key}: ${formatSpeedSummary(row)}`);
+            }
+            return lines.join('\n');
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Group by source instead of model',
+                typeList: ['string'],
+                isRequired: false,
+                enumList: ['sources'],
+            }),
+        ],
+        returns: 'Latency and throughput statistics',
+        helpString: 'Shows time to first token, total duration and output tokens per second (median and 95th percentile) per model, or per source with /tokenspeed sources.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokencontext',
+        callback: async () => {
+            const chatId = getCurrentChatId();
+            if (!chatId) {
+                return 'No active chat found.';
+            }
+
+            const modelId = getCurrentModelId();
+            const contextLength = getModelContextLength(modelId);
+            const samples = getContextUtilization({ chatId });
+            const lines = [`**Context window:** ${modelId || 'unknown model'} ${contextLength ? `has ${formatNumberFull(contextLength)} tokens` : 'has no known context length (set it in Config)'}`];
+            if (samples.length === 0) {
+                lines.push('No generations with a known context length in this chat yet.');
+                return lines.join('\n');
+            }
+
+            const percents = samples.map(sample => Math.round(sample.utilization * 100));
+            lines.push(`Last ${samples.length} generations: ${percents.join('%, ')}%`);
+            lines.push(`Highest ${Math.max(...percents)}%, average ${Math.round(percents.reduce((sum, p) => sum + p, 0) / percents.length)}%`);
+            if (isAboveContextAlert(samples)) {
+                lines.push(`⚠ The last ${getSettings().contextAlert.window} requests were all above ${getSettings().contextAlert.threshold}%`);
+            }
+            return lines.join('\n');
+        },
+        returns: 'Context window utilization of the current chat',
+        helpString: 'Shows how much of the model\'s context window each recent request in the current chat filled.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenwaste',
+        callback: async (args, value) => {
+            const scope = String(value || '').trim();
+            const chatId = scope === 'chat' ? getCurrentChatId() : null;
+            if (scope === 'chat' && !chatId) {
+                return 'No active chat found.';
+            }
+
+            const waste = getWasteStats({ chatId });
+            if (waste.settled === 0) {
+                return 'No settled generations yet. Outcomes are known once a swipe is chosen and the chat moves on, or a message is deleted.';
+            }
+
+            const lines = [
+                `**Wasted generations${chatId ? ' (current chat)' : ''}:**`,
+                `Discarded: ${waste.discarded} of ${waste.settled} (${Math.round((waste.discarded / waste.settled) * 100)}%)`,
+                `Wasted: ${formatNumberFull(waste.tokens)} tokens, $${waste.cost.toFixed(4)}`,
+                '**By model:**',
+            ];
+            const models = Object.entries(waste.byModel).sort((a, b) => b[1].cost - a[1].cost || b[1].tokens - a[1].tokens);
+            for (const [modelId, model] of models) {
+                const rate = Math.round((model.discarded / model.settled) * 100);
+                lines.push(`• ${modelId}: ${rate}% discarded (${model.discarded}/${model.settled}), ${formatNumberFull(model.tokens)} tokens, $${model.cost.toFixed(4)}`);
+            }
+            return lines.join('\n');
+        },
+        returns: 'Wasted token statistics',
+        helpString: 'Shows tokens and cost spent on generations that were thrown away (other swipe kept, or message deleted), per model. Use /tokenwaste chat for the current chat only.',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Scope: chat for the current chat, empty for all chats',
+                typeList: ['string'],
+                isRequired: false,
+                enumList: ['chat'],
+            }),
+        ],
+    }));
+
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'tokenmini',
         callback: () => {
@@ -1239,11 +4469,25 @@ window['TokenUsageTracker'] = {
     getChatUsage,
     resetSession,
     resetAllUsage,
-    recordUsage,
+    // External callers are attributed to their extension unless they pass details.feature
+    recordUsage: (inputTokens, outputTokens, chatId, modelId, sourceId, reasoningTokens, details = {}) =>
+        recordUsage(inputTokens, outputTokens, chatId, modelId, sourceId, reasoningTokens, { ...details, feature: details.feature || getCallerFeature() || undefined }),
+    withFeature,
     countTokens, // Expose the token counting function
+    registerMediaEstimator,
     getCurrentModelId,
     getCurrentSourceId,
     flushPendingQuietGeneration,
+    getRecords: getUsageRecords,
+    voidRecord: voidUsageRecord,
+    rebuildAggregates,
+    backfillFromChats: backfillUsageFromChats,
+    getBreakdown: getUsageBreakdown,
+    getWasteStats,
+    getWorldInfoLeaderboard,
+    getSpeedStats,
+    getContextUtilization,
+    getModelContextLength,
     // Subscribe to updates
     onUpdate: (callback) => {
         eventSource.on('tokenUsageUpdated', callback);
@@ -1277,15 +4521,124 @@ function formatNumberFull(num) {
  * @returns {string} Hex color code
  */
 function getModelColor(modelId) {
+    return getPersistedColor('modelColors', modelId);
+}
+
+/**
+ * Get color for a feature (generates and persists a new one if not set)
+ * @param {string} feature - The feature name
+ * @returns {string} Hex color string
+ */
+function getFeatureColor(feature) {
+    return getPersistedColor('featureColors', feature);
+}
+
+/**
+ * Get color for a character (keyed by avatar file, generated and persisted like model colors)
+ * @param {string} characterId - Character avatar file name
+ * @returns {string} Hex color string
+ */
+function getCharacterColor(characterId) {
+    return getPersistedColor('characterColors', characterId);
+}
+
+/**
+ * Get color for a group
+ * @param {string} groupId
+ * @returns {string} Hex color string
+ */
+function getGroupColor(groupId) {
+    return getPersistedColor('groupColors', groupId);
+}
+
+/**
+ * Get the display name of a character from its usage bucket (avatar file name without extension if unknown)
+ * @param {string} characterId - Character avatar file name
+ * @returns {string}
+ */
+function formatCharacterName(characterId) {
+    return getSettings().usage.byCharacter?.[characterId]?.name || String(characterId).replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Get the display name of a group from its usage bucket
+ * @param {string} groupId
+ * @returns {string}
+ */
+function formatGroupName(groupId) {
+    return getSettings().usage.byGroup?.[groupId]?.name || `Group ${groupId}`;
+}
+
+/**
+ * Get the display name of a persona from its usage bucket (avatar file name without extension if unknown)
+ * @param {string} personaId - Persona avatar file name
+ * @returns {string}
+ */
+function formatPersonaName(personaId) {
+    return getSettings().usage.byPersona?.[personaId]?.name || String(personaId).replace(/\.[^.]+$/, '');
+}
+
+/** Fixed colors and labels for generation types */
+const GENERATION_TYPES = {
+    normal: { label: 'Normal', color: '#6366f1' },
+    swipe: { label: 'Swipe', color: '#f59e0b' },
+    regenerate: { label: 'Regenerate', color: '#ef4444' },
+    continue: { label: 'Continue', color: '#10b981' },
+    impersonate: { label: 'Impersonate', color: '#ec4899' },
+    quiet: { label: 'Quiet', color: '#8b5cf6' },
+    raw: { label: 'Raw', color: '#0ea5e9' },
+    background: { label: 'Background', color: '#64748b' },
+};
+
+/**
+ * Get color for a generation type
+ * @param {string} type - Generation type
+ * @returns {string} Hex color string
+ */
+function getTypeColor(type) {
+    return GENERATION_TYPES[type]?.color || getPersistedColor('typeColors', type);
+}
+
+/**
+ * Get the display label of a generation type
+ * @param {string} type - Generation type
+ * @returns {string}
+ */
+function formatGenerationType(type) {
+    return GENERATION_TYPES[type]?.label || type;
+}
+
+/**
+ * Describe how a bucket's tokens split across generation types, largest first
+ * @param {Object} [types] - Bucket's nested types map
+ * @returns {string[]} One line per type (empty if nothing was recorded)
+ */
+function formatTypeSplit(types) {
+    const entries = Object.entries(types || {}).filter(([, data]) => (data.total || 0) > 0);
+    const total = entries.reduce((sum, [, data]) => sum + data.total, 0);
+    return entries
+        .sort((a, b) => b[1].total - a[1].total)
+        .map(([type, data]) => `${formatGenerationType(type)}: ${formatNumberFull(data.total)} tokens (${Math.round((data.total / total) * 100)}%), ${data.messageCount || 0} generations`);
+}
+
+/**
+ * Get the persisted color for a chart series, generating a distinct one on first use
+ * @param {string} mapName - Settings key of the color map ('modelColors', 'featureColors')
+ * @param {string} key - Series key
+ * @returns {string} Hex color string
+ */
+function getPersistedColor(mapName, key) {
     const settings = getSettings();
+    if (!settings[mapName]) settings[mapName] = {};
+    const colors = settings[mapName];
 
     // Return persisted color if exists
-    if (settings.modelColors[modelId]) {
-        return settings.modelColors[modelId];
+    if (colors[key]) {
+        return colors[key];
     }
 
     // Get all existing assigned colors to avoid duplicates
-    const existingColors = Object.values(settings.modelColors);
+    const existingColors = Object.values(colors);
 
     // Generate a random color that's distinct from existing ones
     let newColor;
@@ -1300,7 +4653,7 @@ function getModelColor(modelId) {
     } while (attempts < 50 && isTooSimilar(newColor, existingColors));
 
     // Persist the new color
-    settings.modelColors[modelId] = newColor;
+    colors[key] = newColor;
     saveSettings();
 
     return newColor;
@@ -1357,11 +4710,26 @@ function setModelColor(modelId, color) {
     saveSettings();
 }
 
+/**
+ * Convert an OpenRouter per-token price entry to our per-1M-token format
+ * @param {Object} orPrice - { prompt, completion, cacheRead, cacheWrite } as strings per token
+ * @returns {{in: number, out: number, cacheRead: number|null, cacheWrite: number|null}}
+ */
+function convertOpenRouterPrice(orPrice) {
+    const perMillion = (value) => (parseFloat(value) || 0) * 1000000;
+    return {
+        in: perMillion(orPrice.prompt),
+        out: perMillion(orPrice.completion),
+        cacheRead: orPrice.cacheRead ? perMillion(orPrice.cacheRead) : null,
+        cacheWrite: orPrice.cacheWrite ? perMillion(orPrice.cacheWrite) : null
+    };
+}
+
 /**
  * Get price settings for a model
  * Priority: 1) User-defined price, 2) OpenRouter cache (exact), 3) OpenRouter cache (suffix match), 4) Default zeros
  * @param {string} modelId
- * @returns {{in: number, out: number}} Price per 1M tokens
+ * @returns {{in: number, out: number, cacheRead: number|null, cacheWrite: number|null}} Price per 1M tokens
  */
 function getModelPrice(modelId) {
     const settings = getSettings();
@@ -1371,45 +4739,79 @@ function getModelPrice(modelId) {
         return settings.modelPrices[modelId];
     }
 
-    // Auto-populated from OpenRouter cache - try exact match first
-    const orPrice = settings.openRouterPrices?.data?.[modelId];
-    if (orPrice) {
-        // OpenRouter returns price per token, convert to per 1M tokens
-        return {
-            in: (parseFloat(orPrice.prompt) || 0) * 1000000,
-            out: (parseFloat(orPrice.completion) || 0) * 1000000
-        };
+    // Auto-populated from OpenRouter cache (OpenRouter returns price per token, convert to per 1M tokens)
+    const orModel = findOpenRouterModel(modelId);
+    if (orModel) {
+        return convertOpenRouterPrice(orModel);
     }
 
-    // Fallback: Check if the end of modelId matches any key in OpenRouter price data (case-insensitive)
-    if (settings.openRouterPrices?.data) {
-        const modelIdLower = modelId.toLowerCase();
+    return { in: 0, out: 0, cacheRead: null, cacheWrite: null };
+}
+
+/**
+ * Find a model in the cached OpenRouter model list
+ * Priority: 1) Exact ID, 2) Longest OpenRouter ID the model ID ends with (case-insensitive)
+ * @param {string} modelId
+ * @returns {{prompt: string, completion: string, cacheRead: string|null, cacheWrite: string|null, contextLength: number|null}|null}
+ */
+function findOpenRouterModel(modelId) {
+    const data = getSettings().openRouterPrices?.data;
+    if (!data || !modelId) return null;
+    if (data[modelId]) return data[modelId];
 
-        // Find the longest matching suffix to prefer more specific matches
-        let bestMatch = null;
-        let bestMatchLength = 0;
+    const modelIdLower = modelId.toLowerCase();
 
-        for (const priceKey of Object.keys(settings.openRouterPrices.data)) {
-            const priceKeyLower = priceKey.toLowerCase();
+    // Find the longest matching suffix to prefer more specific matches
+    let bestMatch = null;
+    let bestMatchLength = 0;
 
-            // Check if modelId ends with this price key
-            if (modelIdLower.endsWith(priceKeyLower) && priceKeyLower.length > bestMatchLength) {
-                bestMatch = priceKey;
-                bestMatchLength = priceKeyLower.length;
-            }
-        }
+    for (const key of Object.keys(data)) {
+        const keyLower = key.toLowerCase();
 
-        if (bestMatch) {
-            const matchedPrice = settings.openRouterPrices.data[bestMatch];
-            console.log(`[Token Usage Tracker] Model "${modelId}" matched to OpenRouter pricing for "${bestMatch}" via suffix match`);
-            return {
-                in: (parseFloat(matchedPrice.prompt) || 0) * 1000000,
-                out: (parseFloat(matchedPrice.completion) || 0) * 1000000
-            };
+        // Check if modelId ends with this OpenRouter ID
+        if (modelIdLower.endsWith(keyLower) && keyLower.length > bestMatchLength) {
+            bestMatch = key;
+            bestMatchLength = keyLower.length;
         }
     }
-
-    return { in: 0, out: 0 };
+
+    if (bestMatch && !loggedOpenRouterMatches.has(modelId)) {
+        loggedOpenRouterMatches.add(modelId);
+        console.log(`[Token Usage Tracker] Model "${modelId}" matched to OpenRouter model "${bestMatch}" via suffix match`);
+    }
+    return bestMatch ? data[bestMatch] : null;
+}
+
+/** Models whose OpenRouter suffix match has been logged (it is looked up on every cost calculation) */
+const loggedOpenRouterMatches = new Set();
+
+/**
+ * Get the context window of a model
+ * Priority: 1) User-defined length, 2) OpenRouter model list
+ * @param {string} modelId
+ * @returns {number|null} Context length in tokens, or null if unknown
+ */
+function getModelContextLength(modelId) {
+    if (!modelId) return null;
+    const settings = getSettings();
+    if (settings.modelContextLengths?.[modelId] > 0) return settings.modelContextLengths[modelId];
+    return findOpenRouterModel(modelId)?.contextLength || null;
+}
+
+/**
+ * Set the context window of a model by hand
+ * @param {string} modelId
+ * @param {number|string} contextLength - Tokens (empty or 0 = use the OpenRouter value)
+ */
+function setModelContextLength(modelId, contextLength) {
+    const settings = getSettings();
+    const parsed = parseInt(contextLength);
+    if (parsed > 0) {
+        settings.modelContextLengths[modelId] = parsed;
+    } else {
+        delete settings.modelContextLengths[modelId];
+    }
+    saveSettings();
 }
 
 /**
@@ -1417,30 +4819,71 @@ function getModelPrice(modelId) {
  * @param {string} modelId
  * @param {number} priceIn - Price per 1M input tokens
  * @param {number} priceOut - Price per 1M output tokens
+ * @param {number|string} [priceCacheRead] - Price per 1M cache-read tokens (empty = same as input)
+ * @param {number|string} [priceCacheWrite] - Price per 1M cache-write tokens (empty = same as input)
  */
-function setModelPrice(modelId, priceIn, priceOut) {
+function setModelPrice(modelId, priceIn, priceOut, priceCacheRead = null, priceCacheWrite = null) {
     const settings = getSettings();
+    const optionalPrice = (value) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
     settings.modelPrices[modelId] = {
         in: parseFloat(priceIn) || 0,
-        out: parseFloat(priceOut) || 0
+        out: parseFloat(priceOut) || 0,
+        cacheRead: optionalPrice(priceCacheRead),
+        cacheWrite: optionalPrice(priceCacheWrite)
     };
     saveSettings();
 }
 
 /**
  * Calculate cost for a given token usage and model
- * @param {number} inputTokens
+ * Cached input is billed at the model's cache-read / cache-write prices when set
+ * @param {number} inputTokens - All input tokens, including cached ones
  * @param {number} outputTokens
  * @param {string} modelId
+ * @param {number} [cacheReadTokens] - Part of inputTokens served from the prompt cache
+ * @param {number} [cacheWriteTokens] - Part of inputTokens written to the prompt cache
  * @returns {number} Cost in dollars
  */
-function calculateCost(inputTokens, outputTokens, modelId) {
+function calculateCost(inputTokens, outputTokens, modelId, cacheReadTokens = 0, cacheWriteTokens = 0) {
     const prices = getModelPrice(modelId);
     if (!prices.in && !prices.out) return 0;
 
-    const inputCost = (inputTokens / 1000000) * prices.in;
+    const cacheReadPrice = prices.cacheRead ?? prices.in;
+    const cacheWritePrice = prices.cacheWrite ?? prices.in;
+    const uncachedInput = Math.max(0, inputTokens - cacheReadTokens - cacheWriteTokens);
+
+    const inputCost = (uncachedInput / 1000000) * prices.in;
+    const cacheCost = (cacheReadTokens / 1000000) * cacheReadPrice + (cacheWriteTokens / 1000000) * cacheWritePrice;
     const outputCost = (outputTokens / 1000000) * prices.out;
-    return inputCost + outputCost;
+    return inputCost + cacheCost + outputCost;
+}
+
+/**
+ * Calculate cost of a single usage bucket for a model
+ * @param {Object|number} data - Bucket with input/output/cacheRead/cacheWrite (legacy numeric buckets cost 0)
+ * @param {string} modelId
+ * @returns {number} Cost in dollars
+ */
+function calculateBucketCost(data, modelId) {
+    if (!data || typeof data === 'number') return 0;
+    return calculateCost(data.input || 0, data.output || 0, modelId, data.cacheRead || 0, data.cacheWrite || 0);
+}
+
+/**
+ * Calculate the total cost of a per-model map ({ modelId: bucket })
+ * @param {Object} [models]
+ * @returns {number} Cost in dollars
+ */
+function calculateModelsCost(models) {
+    if (!models) return 0;
+    let cost = 0;
+    for (const [modelId, data] of Object.entries(models)) {
+        cost += calculateBucketCost(data, modelId);
+    }
+    return cost;
 }
 
 /**
@@ -1452,14 +4895,14 @@ function calculateAllTimeCost() {
     let totalCost = 0;
 
     for (const [modelId, data] of Object.entries(byModel)) {
-        totalCost += calculateCost(data.input, data.output, modelId);
+        totalCost += calculateBucketCost(data, modelId);
     }
     return totalCost;
 }
 
 /**
  * Calculate token efficiency metrics
- * @param {Object} data - Usage data with input, output, total, and messageCount
+ * @param {Object} data - Usage data with input, output, total, messageCount and optional cacheRead
  * @returns {Object} Efficiency metrics
  */
 function calculateEfficiencyMetrics(data) {
@@ -1467,7 +4910,22 @@ function calculateEfficiencyMetrics(data) {
     const perMessage = data.messageCount > 0
         ? Math.round(data.total / data.messageCount)
         : 0;
-    return { ratio, perMessage };
+    // Share of input tokens served from the provider's prompt cache
+    const cacheHitRatio = data.input > 0 ? ((data.cacheRead || 0) / data.input) : 0;
+    return { ratio, perMessage, cacheHitRatio };
+}
+
+/**
+ * Share of messages in a bucket whose counts came from the provider's usage report
+ * (the rest are local tokenizer estimates)
+ * @param {Object} data - Usage bucket with messageCount and reportedCount
+ * @returns {{reported: number, total: number, percent: number}}
+ */
+function getReportedShare(data) {
+    const total = data?.messageCount || 0;
+    const reported = Math.min(data?.reportedCount || 0, total);
+    const percent = total > 0 ? Math.round((reported / total) * 100) : 0;
+    return { reported, total, percent };
 }
 
 /**
@@ -1480,9 +4938,12 @@ function exportUsageData() {
         version: '1.0',
         exportDate: getCurrentEasternTime().toISOString(),
         extensionName: extensionName,
-        usage: settings.usage,
+        usage: { ...settings.usage, records: getLedger() },
         modelPrices: settings.modelPrices,
-        modelColors: settings.modelColors
+        modelColors: settings.modelColors,
+        featureColors: settings.featureColors,
+        tokenizerCalibration: settings.tokenizerCalibration,
+        modelContextLengths: settings.modelContextLengths,
     };
 }
 
@@ -1564,6 +5025,77 @@ function importUsageData(jsonString) {
         }
     }
 
+    // Replace byProfile data
+    if (data.usage.byProfile) {
+        if (!settings.usage.byProfile) settings.usage.byProfile = {};
+        for (const [profileName, profileData] of Object.entries(data.usage.byProfile)) {
+            settings.usage.byProfile[profileName] = profileData;
+        }
+    }
+
+    // Replace byFeature data
+    if (data.usage.byFeature) {
+        if (!settings.usage.byFeature) settings.usage.byFeature = {};
+        for (const [feature, featureData] of Object.entries(data.usage.byFeature)) {
+            settings.usage.byFeature[feature] = featureData;
+        }
+    }
+
+    // Replace byType data
+    if (data.usage.byType) {
+        if (!settings.usage.byType) settings.usage.byType = {};
+        for (const [type, typeData] of Object.entries(data.usage.byType)) {
+            settings.usage.byType[type] = typeData;
+        }
+    }
+
+    // Replace byCharacter data
+    if (data.usage.byCharacter) {
+        if (!settings.usage.byCharacter) settings.usage.byCharacter = {};
+        for (const [characterId, characterData] of Object.entries(data.usage.byCharacter)) {
+            settings.usage.byCharacter[characterId] = characterData;
+        }
+    }
+
+    // Replace byGroup data
+    if (data.usage.byGroup) {
+        if (!settings.usage.byGroup) settings.usage.byGroup = {};
+        for (const [groupId, groupData] of Object.entries(data.usage.byGroup)) {
+            settings.usage.byGroup[groupId] = groupData;
+        }
+    }
+
+    // Replace byPersona data
+    if (data.usage.byPersona) {
+        if (!settings.usage.byPersona) settings.usage.byPersona = {};
+        for (const [personaId, personaData] of Object.entries(data.usage.byPersona)) {
+            settings.usage.byPersona[personaId] = personaData;
+        }
+    }
+
+    // Replace byWorldInfo data
+    if (data.usage.byWorldInfo) {
+        if (!settings.usage.byWorldInfo) settings.usage.byWorldInfo = {};
+        for (const [entryKey, entryData] of Object.entries(data.usage.byWorldInfo)) {
+            settings.usage.byWorldInfo[entryKey] = entryData;
+        }
+    }
+
+    // Merge ledger records by ID (records already present are kept as-is)
+    if (Array.isArray(data.usage.records)) {
+        const knownIds = new Set(getLedger().map(r => r.id));
+        const newRecords = data.usage.records.filter(r => r?.id && r.timestamp && !knownIds.has(r.id));
+        ledgerRecords.push(...newRecords);
+        ledgerRecords.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        persistLedgerRecords(newRecords);
+        openOutcomes = null;
+        // Imported records can reach back before the point the ledger started at
+        if (ledgerRecords.length > 0 && (!settings.usage.ledgerStartedAt || ledgerRecords[0].timestamp < settings.usage.ledgerStartedAt)) {
+            settings.usage.ledgerStartedAt = ledgerRecords[0].timestamp;
+        }
+        trimUsageRecords(settings.usage);
+    }
+
     // Replace allTime data
     if (data.usage.allTime) {
         settings.usage.allTime = data.usage.allTime;
@@ -1574,10 +5106,25 @@ function importUsageData(jsonString) {
         Object.assign(settings.modelPrices, data.modelPrices);
     }
 
+    // Replace context lengths set by hand (overwrite existing)
+    if (data.modelContextLengths) {
+        Object.assign(settings.modelContextLengths, data.modelContextLengths);
+    }
+
     // Replace model colors (overwrite existing)
     if (data.modelColors) {
         Object.assign(settings.modelColors, data.modelColors);
     }
+    if (data.featureColors) {
+        Object.assign(settings.featureColors, data.featureColors);
+    }
+
+    // Calibration learned on this install is newer than a backup's, so only fill in missing models
+    if (data.tokenizerCalibration) {
+        for (const [modelId, calibration] of Object.entries(data.tokenizerCalibration)) {
+            if (!settings.tokenizerCalibration[modelId]) settings.tokenizerCalibration[modelId] = calibration;
+        }
+    }
 
     saveSettings();
     eventSource.emit('tokenUsageUpdated', getUsageStats());
@@ -1590,12 +5137,47 @@ function importUsageData(jsonString) {
 
 // Chart state
 let currentChartRange = 30;
-let currentSourceFilter = 'all'; // 'all' or specific source ID like 'openai', 'textgenerationwebui'
-let currentChartType = 'bar'; // 'bar' or 'line'
+let currentSourceFilter = 'all'; // 'all', a source ID like 'openai', or 'persona:<avatar>'
+let currentChartType = 'bar'; // 'bar', 'line' or 'speed' (median output tokens per second)
 let currentGranularity = 'daily'; // 'daily' or 'hourly'
+let currentStackBy = 'model'; // 'model', 'feature', 'type', 'character' or 'group' - what the bar segments show
+
+/**
+ * Chart stack dimensions other than model: data point key, color and label for each
+ */
+const STACK_SERIES = {
+    feature: { key: 'features', getColor: getFeatureColor, getLabel: feature => feature },
+    type: { key: 'types', getColor: getTypeColor, getLabel: formatGenerationType },
+    character: { key: 'characters', getColor: getCharacterColor, getLabel: formatCharacterName },
+    group: { key: 'groups', getColor: getGroupColor, getLabel: formatGroupName },
+};
 let chartData = [];
 let tooltip = null;
 
+/**
+ * What the bars are stacked by. Days and hours only break feature, type, character and group down
+ * for all usage, so a source or persona filter stacks by model.
+ * @returns {string}
+ */
+function getStackBy() {
+    return currentSourceFilter === 'all' ? currentStackBy : 'model';
+}
+
+/**
+ * Disable the stack-by options a filter makes unavailable, and mark the one in effect
+ */
+function updateStackByButtons() {
+    const filtered = currentSourceFilter !== 'all';
+    document.querySelectorAll('.token-usage-stackby-btn').forEach(btn => {
+        const value = btn.getAttribute('data-value');
+        const unavailable = filtered && value !== 'model';
+        btn.classList.toggle('disabled', unavailable);
+        if (unavailable) btn.title = 'Not broken down while a source or persona filter is active';
+        else btn.removeAttribute('title');
+        btn.classList.toggle('active', value === getStackBy());
+    });
+}
+
 // Miniview state
 let miniviewElement = null;
 
@@ -1674,10 +5256,70 @@ function createSVGElement(type, attrs = {}) {
     return el;
 }
 
+/** Prefix of chart filter values that select a persona instead of a source */
+const PERSONA_FILTER_PREFIX = 'persona:';
+
+/**
+ * Get the part of a day or hour bucket that matches the chart filter
+ * @param {Object} periodData - Day or hour bucket
+ * @param {string} filter - 'all', a source ID, or PERSONA_FILTER_PREFIX + persona avatar
+ * @returns {Object|null} The nested source or persona bucket (the bucket itself for 'all'), or null if it has none
+ */
+function getFilteredPeriodData(periodData, filter) {
+    if (filter === 'all') return periodData;
+    if (filter.startsWith(PERSONA_FILTER_PREFIX)) {
+        return periodData.personas?.[filter.slice(PERSONA_FILTER_PREFIX.length)] || null;
+    }
+    return periodData.sources?.[filter] || null;
+}
+
+/**
+ * Add the timing summary of each data point's generations (`speed`, with median tok/s per model)
+ * @param {Object[]} data - Chart data points with a dayKey or hourKey
+ * @param {string} filter - 'all', a source ID, or PERSONA_FILTER_PREFIX + persona avatar
+ * @returns {Object[]} The same data points
+ */
+function attachSpeedStats(data, filter = 'all') {
+    const cacheKey = `periods:${currentGranularity}:${filter}`;
+    if (!speedCache.has(cacheKey)) {
+        const getKey = currentGranularity === 'hourly' ? getHourKey : getDayKey;
+        const personaId = filter.startsWith(PERSONA_FILTER_PREFIX) ? filter.slice(PERSONA_FILTER_PREFIX.length) : null;
+        const recordsByKey = {};
+        for (const record of getLedger()) {
+            if (!record.timing || record.voided) continue;
+            if (personaId ? record.personaId !== personaId : filter !== 'all' && record.sourceId !== filter) continue;
+            const key = getKey(new Date(record.timestamp));
+            if (!recordsByKey[key]) recordsByKey[key] = [];
+            recordsByKey[key].push(record);
+        }
+
+        const speedByKey = {};
+        for (const [key, records] of Object.entries(recordsByKey)) {
+            const speed = summarizeTimings(records);
+            const byModel = {};
+            for (const record of records) {
+                if (record.timing.tokensPerSecond === null) continue;
+                const modelId = record.modelId || 'unknown';
+                if (!byModel[modelId]) byModel[modelId] = [];
+                byModel[modelId].push(record.timing.tokensPerSecond);
+            }
+            speed.models = Object.fromEntries(Object.entries(byModel).map(([modelId, values]) => [modelId, getPercentile(values, 50)]));
+            speedByKey[key] = speed;
+        }
+        speedCache.set(cacheKey, speedByKey);
+    }
+
+    const speedByKey = speedCache.get(cacheKey);
+    for (const point of data) {
+        point.speed = speedByKey[point.hourKey || point.dayKey] || null;
+    }
+    return data;
+}
+
 /**
  * Get chart data from real usage stats
  * @param {number} days - Number of days to include
- * @param {string} sourceFilter - Source to filter by, or 'all' for combined
+ * @param {string} sourceFilter - Source or persona to filter by, or 'all' for combined
  */
 function getChartData(days, sourceFilter = 'all') {
     const stats = getUsageStats();
@@ -1693,14 +5335,17 @@ function getChartData(days, sourceFilter = 'all') {
 
         // Filter by source if specified
         let usage, input, output, models;
-        if (sourceFilter !== 'all' && dayData.sources && dayData.sources[sourceFilter]) {
-            const sourceData = dayData.sources[sourceFilter];
+        let messageCount = 0, reportedCount = 0, cacheRead = 0, cacheWrite = 0;
+        if (sourceFilter !== 'all' && getFilteredPeriodData(dayData, sourceFilter)) {
+            const sourceData = getFilteredPeriodData(dayData, sourceFilter);
             usage = sourceData.total || 0;
             input = sourceData.input || 0;
             output = sourceData.output || 0;
             models = sourceData.models || {};
+            cacheRead = sourceData.cacheRead || 0;
+            cacheWrite = sourceData.cacheWrite || 0;
         } else if (sourceFilter !== 'all') {
-            // Source filter specified but no data for this source on this day
+            // Filter specified but no data for this source or persona on this day
             usage = 0;
             input = 0;
             output = 0;
@@ -1711,6 +5356,10 @@ function getChartData(days, sourceFilter = 'all') {
             input = dayData.input || 0;
             output = dayData.output || 0;
             models = dayData.models || {};
+            messageCount = dayData.messageCount || 0;
+            reportedCount = dayData.reportedCount || 0;
+            cacheRead = dayData.cacheRead || 0;
+            cacheWrite = dayData.cacheWrite || 0;
         }
 
         data.push({
@@ -1720,6 +5369,14 @@ function getChartData(days, sourceFilter = 'all') {
             input: input,
             output: output,
             models: models,
+            features: sourceFilter === 'all' ? (dayData.features || {}) : {},
+            types: sourceFilter === 'all' ? (dayData.types || {}) : {},
+            characters: sourceFilter === 'all' ? (dayData.characters || {}) : {},
+            groups: sourceFilter === 'all' ? (dayData.groups || {}) : {},
+            messageCount: messageCount,
+            reportedCount: reportedCount,
+            cacheRead: cacheRead,
+            cacheWrite: cacheWrite,
             displayDate: new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, month: 'short', day: 'numeric' }).format(date),
             fullDate: new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }).format(date)
         });
@@ -1730,7 +5387,7 @@ function getChartData(days, sourceFilter = 'all') {
 /**
  * Get hourly chart data from real usage stats
  * @param {number} hours - Number of hours to include
- * @param {string} sourceFilter - Source to filter by, or 'all' for combined
+ * @param {string} sourceFilter - Source or persona to filter by, or 'all' for combined
  */
 function getHourlyChartData(hours, sourceFilter = 'all') {
     const settings = getSettings();
@@ -1745,12 +5402,15 @@ function getHourlyChartData(hours, sourceFilter = 'all') {
 
         // Filter by source if specified
         let usage, input, output, models;
-        if (sourceFilter !== 'all' && hourData.sources && hourData.sources[sourceFilter]) {
-            const sourceData = hourData.sources[sourceFilter];
+        let messageCount = 0, reportedCount = 0, cacheRead = 0, cacheWrite = 0;
+        if (sourceFilter !== 'all' && getFilteredPeriodData(hourData, sourceFilter)) {
+            const sourceData = getFilteredPeriodData(hourData, sourceFilter);
             usage = sourceData.total || 0;
             input = sourceData.input || 0;
             output = sourceData.output || 0;
-            models = {}; // No nested model data in hourly sources
+            cacheRead = sourceData.cacheRead || 0;
+            cacheWrite = sourceData.cacheWrite || 0;
+            models = sourceData.models || {}; // Hourly sources have no nested model data, personas do
         } else if (sourceFilter !== 'all') {
             usage = 0;
             input = 0;
@@ -1761,6 +5421,10 @@ function getHourlyChartData(hours, sourceFilter = 'all') {
             input = hourData.input || 0;
             output = hourData.output || 0;
             models = hourData.models || {};
+            messageCount = hourData.messageCount || 0;
+            reportedCount = hourData.reportedCount || 0;
+            cacheRead = hourData.cacheRead || 0;
+            cacheWrite = hourData.cacheWrite || 0;
         }
 
         data.push({
@@ -1770,6 +5434,14 @@ function getHourlyChartData(hours, sourceFilter = 'all') {
             input: input,
             output: output,
             models: models,
+            features: sourceFilter === 'all' ? (hourData.features || {}) : {},
+            types: sourceFilter === 'all' ? (hourData.types || {}) : {},
+            characters: sourceFilter === 'all' ? (hourData.characters || {}) : {},
+            groups: sourceFilter === 'all' ? (hourData.groups || {}) : {},
+            messageCount: messageCount,
+            reportedCount: reportedCount,
+            cacheRead: cacheRead,
+            cacheWrite: cacheWrite,
             displayDate: new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, hour: 'numeric', hour12: true }).format(date),
             fullDate: new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', hour12: true }).format(date)
         });
@@ -1785,9 +5457,9 @@ function getChartDataForGranularity() {
         // Map range days to hours: 1D = 24h, 7D = 24*3h = 72h (every 3 hours for a week), 30D = 24*7h = 168h, 90D = 24*14h = 336h
         const hoursMap = { 1: 24, 7: 72, 30: 168, 90: 336 };
         const hours = hoursMap[currentChartRange] || 24;
-        return getHourlyChartData(hours, currentSourceFilter);
+        return attachSpeedStats(getHourlyChartData(hours, currentSourceFilter), currentSourceFilter);
     }
-    return getChartData(currentChartRange, currentSourceFilter);
+    return attachSpeedStats(getChartData(currentChartRange, currentSourceFilter), currentSourceFilter);
 }
 
 /**
@@ -1809,19 +5481,13 @@ function getRangeTotals(rangeDays, sourceFilter = 'all') {
         if (!dayData) continue;
 
         if (sourceFilter !== 'all') {
-            const sourceData = dayData.sources ? dayData.sources[sourceFilter] : null;
+            const sourceData = getFilteredPeriodData(dayData, sourceFilter);
             if (!sourceData) continue;
             totals.input += sourceData.input || 0;
             totals.output += sourceData.output || 0;
             totals.total += sourceData.total || 0;
 
-            if (sourceData.models) {
-                for (const [mid, modelData] of Object.entries(sourceData.models)) {
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    totals.cost += calculateCost(mInput, mOutput, mid);
-                }
-            }
+            totals.cost += calculateModelsCost(sourceData.models);
             continue;
         }
 
@@ -1830,13 +5496,7 @@ function getRangeTotals(rangeDays, sourceFilter = 'all') {
         totals.reasoning += dayData.reasoning || 0;
         totals.total += dayData.total || 0;
 
-        if (dayData.models) {
-            for (const [mid, modelData] of Object.entries(dayData.models)) {
-                const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                totals.cost += calculateCost(mInput, mOutput, mid);
-            }
-        }
+        totals.cost += calculateModelsCost(dayData.models);
     }
 
     return totals;
@@ -1996,11 +5656,14 @@ function renderChart() {
             outerPathD = `M ${barX},${barY + h} v-${h - r} a${r},${r} 0 0 1 ${r},-${r} h${w - 2 * r} a${r},${r} 0 0 1 ${r},${r} v${h - r} z`;
         }
 
-        // Draw filled segments for each model
-        if (d.models && Object.keys(d.models).length > 0 && d.usage > 0) {
+        // Draw filled segments for each model (or feature)
+        const series = STACK_SERIES[getStackBy()];
+        const segments = series ? d[series.key] : d.models;
+        const getSegmentColor = series ? series.getColor : getModelColor;
+        if (segments && Object.keys(segments).length > 0 && d.usage > 0) {
             // Extract total from new object format or use number directly for legacy
             const getTokens = (v) => typeof v === 'number' ? v : (v.total || 0);
-            const modelEntries = Object.entries(d.models).sort((a, b) => getTokens(b[1]) - getTokens(a[1])); // Sort by usage desc
+            const modelEntries = Object.entries(segments).sort((a, b) => getTokens(b[1]) - getTokens(a[1])); // Sort by usage desc
 
             let cumulativeY = barY + h; // Start from bottom
 
@@ -2028,7 +5691,7 @@ function renderChart() {
                     segmentPath = `M ${barX},${cumulativeY} v-${segmentHeight} h${w} v${segmentHeight} z`;
                 }
 
-                const color = getModelColor(modelId);
+                const color = getSegmentColor(modelId);
                 const segment = createSVGElement('path', {
                     d: segmentPath,
                     fill: color,
@@ -2074,9 +5737,13 @@ function renderChart() {
 }
 
 /**
- * Render the line chart variant
+ * Render the chart data as a line
+ * @param {Object} [options]
+ * @param {function(Object): number|null} [options.getValue] - Value plotted for a data point; points without one are skipped
+ * @param {function(number): string} [options.formatValue] - Y axis label
+ * @param {string} [options.emptyText] - Shown when no data point has a value
  */
-function renderLineChart() {
+function renderLineChart({ getValue = d => d.usage, formatValue = formatTokens, emptyText = 'No usage data yet' } = {}) {
     const container = document.getElementById('token-usage-chart');
     if (!container) return;
 
@@ -2086,8 +5753,9 @@ function renderLineChart() {
     const height = rect.height || 200;
 
     if (width === 0 || height === 0) return;
-    if (chartData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">No usage data yet</div>';
+    const values = chartData.map(getValue);
+    if (chartData.length === 0 || values.every(value => value === null)) {
+        container.innerHTML = `<div style="text-align: center; color: rgba(255,255,255,0.5); padding: 40px;">${emptyText}</div>`;
         return;
     }
 
@@ -2115,7 +5783,7 @@ function renderLineChart() {
     svg.appendChild(textGroup);
 
     // Y Scale
-    const maxUsage = Math.max(...chartData.map(d => d.usage), 1);
+    const maxUsage = Math.max(...values.filter(value => value !== null), 1);
     const roughStep = maxUsage / 4;
     const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep || 1)));
     let step = Math.ceil(roughStep / magnitude) * magnitude || 1000;
@@ -2154,15 +5822,15 @@ function renderLineChart() {
             'font-size': '10',
             'font-family': 'ui-sans-serif, system-ui, sans-serif'
         });
-        text.textContent = formatTokens(val);
+        text.textContent = formatValue(val);
         textGroup.appendChild(text);
     }
 
-    // Build area path (filled under the line)
-    if (chartData.length > 1) {
+    // Build area path (filled under the line) - only when every point has a value
+    if (chartData.length > 1 && !values.includes(null)) {
         let areaPath = `M ${xScale(0)},${margin.top + chartHeight}`;
-        chartData.forEach((d, i) => {
-            areaPath += ` L ${xScale(i)},${margin.top + yScale(d.usage)}`;
+        values.forEach((value, i) => {
+            areaPath += ` L ${xScale(i)},${margin.top + yScale(value)}`;
         });
         areaPath += ` L ${xScale(chartData.length - 1)},${margin.top + chartHeight} Z`;
 
@@ -2175,12 +5843,13 @@ function renderLineChart() {
         areaGroup.appendChild(area);
     }
 
-    // Build line path
+    // Build line path (bridging points without a value)
     let linePath = '';
-    chartData.forEach((d, i) => {
+    values.forEach((value, i) => {
+        if (value === null) return;
         const x = xScale(i);
-        const y = margin.top + yScale(d.usage);
-        linePath += i === 0 ? `M ${x},${y}` : ` L ${x},${y}`;
+        const y = margin.top + yScale(value);
+        linePath += linePath === '' ? `M ${x},${y}` : ` L ${x},${y}`;
     });
 
     const path = createSVGElement('path', {
@@ -2203,31 +5872,33 @@ function renderLineChart() {
     const dotR = chartData.length > 120 ? 2.5 : chartData.length > 60 ? 3 : 4;
     chartData.forEach((d, i) => {
         const x = xScale(i);
-        const y = margin.top + yScale(d.usage);
 
         // Interactive dot
-        const dot = createSVGElement('circle', {
-            cx: x,
-            cy: y,
-            r: dotR,
-            fill: 'var(--SmartThemeBodyColor)',
-            stroke: 'var(--SmartThemeInputColor)',
-            'stroke-width': '2',
-            style: 'cursor: pointer;'
-        });
+        if (values[i] !== null) {
+            const y = margin.top + yScale(values[i]);
+            const dot = createSVGElement('circle', {
+                cx: x,
+                cy: y,
+                r: dotR,
+                fill: 'var(--SmartThemeBodyColor)',
+                stroke: 'var(--SmartThemeInputColor)',
+                'stroke-width': '2',
+                style: 'cursor: pointer;'
+            });
 
-        dot.addEventListener('mouseenter', () => {
-            dot.setAttribute('r', String(dotR + 2));
-            showTooltip(d);
-        });
-        dot.addEventListener('mousemove', (e) => {
-            moveTooltip(e);
-        });
-        dot.addEventListener('mouseleave', () => {
-            dot.setAttribute('r', String(dotR));
-            hideTooltip();
-        });
-        dotGroup.appendChild(dot);
+            dot.addEventListener('mouseenter', () => {
+                dot.setAttribute('r', String(dotR + 2));
+                showTooltip(d);
+            });
+            dot.addEventListener('mousemove', (e) => {
+                moveTooltip(e);
+            });
+            dot.addEventListener('mouseleave', () => {
+                dot.setAttribute('r', String(dotR));
+                hideTooltip();
+            });
+            dotGroup.appendChild(dot);
+        }
 
         // X labels
         if (i % labelInterval === 0) {
@@ -2254,6 +5925,12 @@ function renderLineChart() {
 function renderChartByType() {
     if (currentChartType === 'line') {
         renderLineChart();
+    } else if (currentChartType === 'speed') {
+        renderLineChart({
+            getValue: d => d.speed?.tokensPerSecond?.p50 ?? null,
+            formatValue: value => `${formatTokens(value)} t/s`,
+            emptyText: 'No timed generations in this range',
+        });
     } else {
         renderChart();
     }
@@ -2268,17 +5945,10 @@ function showTooltip(d) {
 
     if (d.models && Object.keys(d.models).length > 0) {
         for (const [model, modelData] of Object.entries(d.models)) {
-            // Extract input/output from new object format, estimate for legacy number format
-            let inputTokens, outputTokens;
-            if (typeof modelData === 'number') {
-                // Legacy format: estimate 50/50 split
-                inputTokens = Math.round(modelData * 0.5);
-                outputTokens = Math.round(modelData * 0.5);
-            } else {
-                inputTokens = modelData.input || 0;
-                outputTokens = modelData.output || 0;
-            }
-            const cost = calculateCost(inputTokens, outputTokens, model);
+            // Legacy number format: estimate 50/50 split
+            const cost = typeof modelData === 'number'
+                ? calculateCost(Math.round(modelData * 0.5), Math.round(modelData * 0.5), model)
+                : calculateBucketCost(modelData, model);
             modelCosts[model] = cost;
             totalCost += cost;
         }
@@ -2313,21 +5983,102 @@ function showTooltip(d) {
         modelBreakdown += '</div>';
     }
 
+    // Feature breakdown - which parts of SillyTavern or which extensions used the tokens
+    const featureEntries = Object.entries(d.features || {});
+    const featureBreakdown = featureEntries.length > 1 || (featureEntries.length === 1 && featureEntries[0][0] !== 'Chat')
+        ? buildTooltipSeriesList(featureEntries, d.usage, getFeatureColor, feature => feature)
+        : '';
+
+    // Breakdown of what the bars are stacked by: generation types, characters or groups
+    const stackSeries = getStackBy() !== 'feature' ? STACK_SERIES[getStackBy()] : null;
+    const typeBreakdown = stackSeries
+        ? buildTooltipSeriesList(Object.entries(d[stackSeries.key] || {}), d.usage, stackSeries.getColor, stackSeries.getLabel)
+        : '';
+
     // Build cost display line
     const costLine = totalCost > 0
         ? `<div style="font-size: 10px; color: #4ade80; font-weight: 500;">Cost: $${totalCost.toFixed(4)}</div>`
         : '';
 
+    const cacheLine = (d.cacheRead || d.cacheWrite)
+        ? `<div style="font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.6;">Cache: ${formatNumberFull(d.cacheRead || 0)} read / ${formatNumberFull(d.cacheWrite || 0)} write (${d.input > 0 ? Math.round(((d.cacheRead || 0) / d.input) * 100) : 0}% hit)</div>`
+        : '';
+
+    // Latency and throughput of the generations in this period
+    let speedBreakdown = '';
+    if (d.speed) {
+        const { tokensPerSecond, ttft, count } = d.speed;
+        speedBreakdown = `<div style="margin-top: 4px; padding-top: 4px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.7;">
+            <div>⚡ ${tokensPerSecond ? `${tokensPerSecond.p50} t/s median, p95 ${tokensPerSecond.p95} t/s` : 'No output throughput'}</div>
+            <div style="font-size: 9px; opacity: 0.8;">${ttft ? `First token ${formatLatency(ttft.p50)} median, p95 ${formatLatency(ttft.p95)} · ` : ''}${count} timed</div>`;
+        // Per-model medians in the speed chart, where the line alone doesn't show which model was fast
+        if (currentChartType === 'speed') {
+            const modelEntries = Object.entries(d.speed.models || {}).sort((a, b) => b[1] - a[1]);
+            for (const [model, speed] of modelEntries.slice(0, 5)) {
+                const shortName = escapeHtml(model.length > 25 ? model.substring(0, 22) + '...' : model);
+                speedBreakdown += `<div style="font-size: 9px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                    <div style="display: flex; align-items: center; gap: 4px; min-width: 0;">
+                        <span style="display: inline-block; width: 8px; height: 8px; background: ${getModelColor(model)}; border-radius: 2px; flex-shrink: 0;"></span>
+                        <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${shortName}</span>
+                    </div>
+                    <span style="flex-shrink: 0;">${speed} t/s</span>
+                </div>`;
+            }
+        }
+        speedBreakdown += '</div>';
+    }
+
+    // Which numbers are authoritative (provider usage report) vs local tokenizer estimates
+    const share = getReportedShare(d);
+    const accuracyLine = share.total > 0
+        ? `<div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;">${share.reported === share.total ? '✓ Provider-reported' : share.reported > 0 ? `✓ ${share.reported}/${share.total} provider-reported, rest estimated` : '≈ Estimated by local tokenizer'}</div>`
+        : '';
+
     tooltip.innerHTML = `
         <div style="font-weight: 600; margin-bottom: 2px; color: var(--SmartThemeBodyColor);">${d.fullDate}</div>
         <div style="color: var(--SmartThemeBodyColor);">${formatNumberFull(d.usage)} tokens</div>
         <div style="font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.6;">${formatNumberFull(d.input)} in / ${formatNumberFull(d.output)} out</div>
+        ${cacheLine}
         ${costLine}
+        ${accuracyLine}
         ${modelBreakdown}
+        ${typeBreakdown}
+        ${featureBreakdown}
+        ${speedBreakdown}
     `;
     tooltip.style.display = 'block';
 }
 
+/**
+ * Build a compact tooltip list of series (features, types) with their share of the total
+ * @param {Array<[string, Object]>} entries - [key, bucket] pairs
+ * @param {number} total - Total tokens of the data point
+ * @param {function(string): string} getColor
+ * @param {function(string): string} getLabel
+ * @param {number} [limit] - Maximum rows shown
+ * @returns {string} HTML (empty if no entry has tokens)
+ */
+function buildTooltipSeriesList(entries, total, getColor, getLabel, limit = 5) {
+    const rows = entries.filter(([, data]) => (data?.total || 0) > 0).sort((a, b) => b[1].total - a[1].total);
+    if (rows.length === 0) return '';
+
+    let html = '<div style="margin-top: 4px; padding-top: 4px; border-top: 1px solid rgba(255,255,255,0.2);">';
+    for (const [key, data] of rows.slice(0, limit)) {
+        const percent = total > 0 ? Math.round((data.total / total) * 100) : 0;
+        html += `<div style="font-size: 9px; color: rgba(255,255,255,0.5); display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+            <div style="display: flex; align-items: center; gap: 4px; min-width: 0;">
+                <span style="display: inline-block; width: 8px; height: 8px; background: ${getColor(key)}; border-radius: 50%; flex-shrink: 0;"></span>
+                <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(getLabel(key))}</span>
+            </div>
+            <span style="flex-shrink: 0;">${formatTokens(data.total)} (${percent}%)</span>
+        </div>`;
+    }
+    if (rows.length > limit) {
+        html += `<div style="font-size: 9px; color: rgba(255,255,255,0.3);">+${rows.length - limit} more</div>`;
+    }
+    return html + '</div>';
+}
+
 function moveTooltip(e) {
     if (!tooltip) return;
 
@@ -2384,6 +6135,7 @@ function updateChartRange(range) {
  */
 function updateSourceFilter(sourceId) {
     currentSourceFilter = sourceId;
+    updateStackByButtons();
     chartData = getChartDataForGranularity();
     renderChartByType();
     updateRangeSummary();
@@ -2441,8 +6193,21 @@ function updateSourceDropdown() {
         dropdown.append(`<option value="${escapeHtml(source)}">${escapeHtml(displayName)}</option>`);
     }
 
+    // Personas filter the same charts along the other axis
+    const personaValues = Object.keys(getSettings().usage.byPersona || {})
+        .sort((a, b) => formatPersonaName(a).localeCompare(formatPersonaName(b)))
+        .map(personaId => PERSONA_FILTER_PREFIX + personaId);
+    if (personaValues.length > 0) {
+        const group = $('<optgroup label="Personas"></optgroup>');
+        for (const value of personaValues) {
+            const displayName = formatPersonaName(value.slice(PERSONA_FILTER_PREFIX.length));
+            group.append(`<option value="${escapeHtml(value)}">${escapeHtml(displayName)}</option>`);
+        }
+        dropdown.append(group);
+    }
+
     // Restore selection if still valid
-    if (currentValue && (currentValue === 'all' || sources.includes(currentValue))) {
+    if (currentValue && (currentValue === 'all' || sources.includes(currentValue) || personaValues.includes(currentValue))) {
         dropdown.val(currentValue);
     } else {
         dropdown.val('all');
@@ -2491,24 +6256,11 @@ function updateUIStats() {
         // Week check
         if (getWeekKey(date) === currentWeekKey) {
             // Calculate cost for this day using per-model input/output breakdown
-            if (data.models) {
-                for (const [mid, modelData] of Object.entries(data.models)) {
-                    // modelData is now { input, output, total } (or number for legacy data)
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    weekCost += calculateCost(mInput, mOutput, mid);
-                }
-            }
+            weekCost += calculateModelsCost(data.models);
         }
         // Month check
         if (getMonthKey(date) === currentMonthKey) {
-            if (data.models) {
-                for (const [mid, modelData] of Object.entries(data.models)) {
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    monthCost += calculateCost(mInput, mOutput, mid);
-                }
-            }
+            monthCost += calculateModelsCost(data.models);
         }
     }
 
@@ -2517,6 +6269,9 @@ function updateUIStats() {
 
     $('#token-usage-tokenizer').text('Tokenizer: ' + (stats.tokenizer || 'Unknown'));
 
+    const allTimeShare = getReportedShare(stats.allTime);
+    $('#token-usage-accuracy').text(`✓ ${allTimeShare.percent}% provider-reported (${formatNumberFull(allTimeShare.reported)}/${formatNumberFull(allTimeShare.total)})`);
+
     // Update efficiency metrics
     const sessionEfficiency = calculateEfficiencyMetrics(stats.session);
     const allTimeEfficiency = calculateEfficiencyMetrics(stats.allTime);
@@ -2525,6 +6280,8 @@ function updateUIStats() {
     $('#token-usage-efficiency-permsg').text(formatTokens(sessionEfficiency.perMessage));
     $('#token-usage-efficiency-alltime-ratio').text(allTimeEfficiency.ratio.toFixed(2) + '×');
     $('#token-usage-efficiency-alltime-permsg').text(formatTokens(allTimeEfficiency.perMessage));
+    $('#token-usage-efficiency-cache').text(Math.round(sessionEfficiency.cacheHitRatio * 100) + '%');
+    $('#token-usage-efficiency-alltime-cache').text(Math.round(allTimeEfficiency.cacheHitRatio * 100) + '%');
 
     // Update chart data with current granularity and source filter
     chartData = getChartDataForGranularity();
@@ -2542,6 +6299,11 @@ function updateUIStats() {
     // Update current chat usage
     updateChatUsageDisplay();
 
+    // Update the breakdown table and recent generations list
+    renderBreakdownTable();
+    renderWorldInfoLeaderboard();
+    renderRecentGenerations();
+
     // Update health indicator
     updateHealthIndicator();
 
@@ -2592,6 +6354,11 @@ function updateChatUsageDisplay() {
         $('#token-usage-chat-input').text('0');
         $('#token-usage-chat-output').text('0');
         $('#token-usage-chat-cost').text('$0.00');
+        $('#token-usage-chat-wasted').text('0');
+        $('#token-usage-chat-persona').text('-').attr('title', '');
+        $('#token-usage-chat-types').empty();
+        $('#token-usage-chat-composition').empty();
+        $('#token-usage-chat-utilization').empty();
         $('#token-usage-chat-id').text('No chat active');
         return;
     }
@@ -2599,14 +6366,7 @@ function updateChatUsageDisplay() {
     const chatUsage = getChatUsage(chatId);
 
     // Calculate chat cost from per-model usage
-    let chatCost = 0;
-    if (chatUsage.models) {
-        for (const [mid, modelData] of Object.entries(chatUsage.models)) {
-            const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-            const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-            chatCost += calculateCost(mInput, mOutput, mid);
-        }
-    }
+    const chatCost = calculateModelsCost(chatUsage.models);
 
     $('#token-usage-chat-total').text(formatTokens(chatUsage.total));
     $('#token-usage-chat-messages').text(chatUsage.messageCount);
@@ -2614,8 +6374,313 @@ function updateChatUsageDisplay() {
     $('#token-usage-chat-output').text(formatTokens(chatUsage.output));
     $('#token-usage-chat-cost').text(`$${chatCost.toFixed(2)}`);
     $('#token-usage-chat-id').text(`Chat: ${chatId}`);
+
+    const waste = getWasteStats({ chatId });
+    $('#token-usage-chat-wasted').text(waste.discarded > 0
+        ? `${formatTokens(waste.tokens)}${waste.cost > 0 ? ` · $${waste.cost.toFixed(2)}` : ''} (${waste.discarded}/${waste.settled})`
+        : '0');
+
+    // Which personas this chat was played as (largest share shown, all in the title)
+    const personaEntries = Object.entries(chatUsage.personas || {}).filter(([, data]) => (data.total || 0) > 0).sort((a, b) => b[1].total - a[1].total);
+    const personaShares = personaEntries.map(([personaId, data]) => `${formatPersonaName(personaId)} ${chatUsage.total > 0 ? Math.round((data.total / chatUsage.total) * 100) : 0}%`);
+    $('#token-usage-chat-persona')
+        .text(personaEntries.length === 0 ? '-' : personaEntries.length === 1 ? formatPersonaName(personaEntries[0][0]) : personaShares[0] + ` +${personaEntries.length - 1}`)
+        .attr('title', personaShares.join('\n'));
+
+    // Input composition - which prompt sections the chat's input tokens went to
+    $('#token-usage-chat-composition').html(renderCompositionBar(chatUsage.composition, { legend: true }));
+
+    // How full the context window was, generation by generation
+    $('#token-usage-chat-utilization').html(renderUtilizationChart(getContextUtilization({ chatId })));
+
+    // How much of this chat went to first replies vs swipes, regenerations and continues
+    const typeEntries = Object.entries(chatUsage.types || {}).filter(([, data]) => (data.total || 0) > 0).sort((a, b) => b[1].total - a[1].total);
+    $('#token-usage-chat-types').html(typeEntries.map(([type, data]) => {
+        const percent = chatUsage.total > 0 ? Math.round((data.total / chatUsage.total) * 100) : 0;
+        return `<span style="white-space: nowrap; margin-right: 8px;"><span style="display: inline-block; width: 7px; height: 7px; border-radius: 50%; background: ${getTypeColor(type)};"></span> ${escapeHtml(formatGenerationType(type))} ${percent}%</span>`;
+    }).join(''));
+}
+
+
+/**
+ * Render context window utilization as a bar per generation, with the alert threshold marked
+ * @param {Array<{timestamp: string, modelId: string|null, input: number, contextLength: number, utilization: number}>} samples - Oldest first
+ * @returns {string} HTML (empty without samples)
+ */
+function renderUtilizationChart(samples) {
+    if (samples.length === 0) return '';
+
+    const threshold = getSettings().contextAlert?.threshold || 0;
+    const timeFormat = new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const bars = samples.map(sample => {
+        const percent = sample.utilization * 100;
+        const level = percent > 95 ? 'full' : threshold > 0 && percent > threshold ? 'high' : '';
+        const title = `${timeFormat.format(new Date(sample.timestamp))} · ${sample.modelId || 'unknown'}\n${formatNumberFull(sample.input)} of ${formatNumberFull(sample.contextLength)} tokens (${Math.round(percent)}%)`;
+        return `<span class="${level}" style="height: ${Math.min(100, percent).toFixed(1)}%;" title="${escapeHtml(title)}"></span>`;
+    }).join('');
+    const thresholdLine = threshold > 0 ? `<div class="token-usage-utilization-threshold" style="bottom: ${Math.min(100, threshold)}%;" title="Alert above ${threshold}%"></div>` : '';
+
+    const latest = samples[samples.length - 1].utilization * 100;
+    const average = samples.reduce((sum, sample) => sum + sample.utilization, 0) / samples.length * 100;
+    const warning = isAboveContextAlert(samples) ? ` <span class="token-usage-error-rate">⚠ above ${threshold}%</span>` : '';
+    return `<div class="token-usage-utilization-label">Context used: ${Math.round(latest)}% last, ${Math.round(average)}% avg${warning}</div>
+        <div class="token-usage-utilization-chart">${bars}${thresholdLine}</div>`;
+}
+
+/** Chats already warned about a full context window, until they drop below the threshold again */
+const contextAlertedChats = new Set();
+
+/**
+ * Warn once when the current chat keeps filling the context window above the alert threshold
+ */
+function checkContextAlert() {
+    const chatId = getCurrentChatId();
+    if (!chatId) return;
+
+    if (!isAboveContextAlert(getContextUtilization({ chatId }))) {
+        contextAlertedChats.delete(chatId);
+        return;
+    }
+    if (contextAlertedChats.has(chatId)) return;
+
+    contextAlertedChats.add(chatId);
+    const { threshold, window } = getSettings().contextAlert;
+    toastr.warning(`The last ${window} requests in this chat each filled more than ${threshold}% of the model's context window. Older messages will soon be cut from the prompt - consider summarizing or trimming World Info.`, 'Context window almost full');
+}
+
+/**
+ * Reporting dimensions shown in the breakdown table: dimension key -> label and aggregate map
+ */
+const BREAKDOWN_DIMENSIONS = {
+    model: { label: 'Model', bucket: 'byModel' },
+    source: { label: 'Source', bucket: 'bySource' },
+    profile: { label: 'Connection Profile', bucket: 'byProfile' },
+    feature: { label: 'Feature', bucket: 'byFeature' },
+    type: { label: 'Generation Type', bucket: 'byType' },
+    character: { label: 'Character', bucket: 'byCharacter' },
+    group: { label: 'Group', bucket: 'byGroup' },
+    persona: { label: 'Persona', bucket: 'byPersona' },
+};
+
+/**
+ * Get all-time usage broken down by a reporting dimension, largest first
+ * @param {string} dimension - Key of BREAKDOWN_DIMENSIONS
+ * @returns {Array<{key: string, label: string, input: number, output: number, total: number, messageCount: number, cost: number|null, failedCount: number, errorRate: number, possiblyBilledInput: number}>}
+ *   cost is null when the dimension has no per-model data to price; failures are only tracked per model and source
+ */
+function getUsageBreakdown(dimension) {
+    const dim = BREAKDOWN_DIMENSIONS[dimension];
+    if (!dim) return [];
+
+    const buckets = getSettings().usage[dim.bucket] || {};
+    return Object.entries(buckets)
+        .map(([key, data]) => {
+            let cost = null;
+            if (dimension === 'model') cost = calculateBucketCost(data, key);
+            else if (data.models) cost = calculateModelsCost(data.models);
+            return {
+                key,
+                label: dimension === 'source' ? formatSourceName(key)
+                    : dimension === 'type' ? formatGenerationType(key)
+                        : dimension === 'character' ? formatCharacterName(key)
+                            : dimension === 'group' ? formatGroupName(key)
+                                : dimension === 'persona' ? formatPersonaName(key)
+                                    : key,
+                input: data.input || 0,
+                output: data.output || 0,
+                total: data.total || 0,
+                messageCount: data.messageCount || 0,
+                cost,
+                failedCount: data.failedCount || 0,
+                errorRate: data.failedCount > 0 ? data.failedCount / ((data.messageCount || 0) + data.failedCount) : 0,
+                possiblyBilledInput: data.possiblyBilledInput || 0,
+            };
+        })
+        .filter(row => row.total > 0 || row.messageCount > 0 || row.failedCount > 0)
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Get World Info entries ranked by the tokens they have added to prompts
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum entries returned (all if omitted)
+ * @returns {Array<{key: string, name: string, world: string, constant: boolean, activations: number, tokens: number, averageTokens: number, cost: number, lastActivatedAt: string|null}>}
+ *   cost is the input cost of the entry's tokens at the prices of the models they were sent to
+ */
+function getWorldInfoLeaderboard({ limit } = {}) {
+    const rows = Object.entries(getSettings().usage.byWorldInfo || {})
+        .filter(([, data]) => (data.total || 0) > 0)
+        .map(([key, data]) => ({
+            key,
+            name: data.name || key,
+            world: data.world || '',
+            constant: !!data.constant,
+            activations: data.messageCount || 0,
+            tokens: data.total || 0,
+            averageTokens: data.messageCount > 0 ? Math.round(data.total / data.messageCount) : 0,
+            cost: calculateModelsCost(data.models),
+            lastActivatedAt: data.lastActivatedAt || null,
+        }))
+        .sort((a, b) => b.tokens - a.tokens);
+    return limit ? rows.slice(0, limit) : rows;
+}
+
+/**
+ * Render the World Info leaderboard
+ */
+function renderWorldInfoLeaderboard() {
+    const list = $('#token-usage-wi-list');
+    if (list.length === 0) return;
+
+    const rows = getWorldInfoLeaderboard({ limit: 50 });
+    if (rows.length === 0) {
+        list.html('<div style="font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.5; padding: 8px; text-align: center;">No World Info activations recorded yet</div>');
+        return;
+    }
+
+    list.html(rows.map(row => `
+        <div class="token-usage-wi-row" title="${escapeHtml(`${row.name}\nLorebook: ${row.world || 'unknown'}${row.constant ? '\nAlways on (constant)' : ''}\n${row.activations} activations, ~${formatNumberFull(row.averageTokens)} tokens each\nLast activated: ${row.lastActivatedAt ? new Date(row.lastActivatedAt).toLocaleString() : 'unknown'}`)}">
+            <span class="token-usage-wi-name">${row.constant ? '🔒 ' : ''}${escapeHtml(row.name)}</span>
+            <span class="token-usage-wi-activations">${row.activations}×</span>
+            <span class="token-usage-breakdown-tokens">${formatTokens(row.tokens)}</span>
+            <span class="token-usage-breakdown-cost">${row.cost > 0 ? '$' + row.cost.toFixed(2) : ''}</span>
+        </div>`).join(''));
+}
+
+/**
+ * Format an error rate (0-1) as a percentage, keeping one decimal for small rates
+ * @param {number} rate
+ * @returns {string}
+ */
+function formatErrorRate(rate) {
+    const percent = rate * 100;
+    return `${percent > 0 && percent < 10 ? percent.toFixed(1) : Math.round(percent)}%`;
+}
+
+/**
+ * Format a duration in milliseconds (e.g. "850 ms", "2.4 s", "1m 05s")
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatLatency(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Describe the speed of a model or source for tooltips and commands
+ * @param {{count: number, ttft: {p50: number, p95: number}|null, duration: {p50: number, p95: number}, tokensPerSecond: {p50: number, p95: number}|null}} speed
+ * @returns {string}
+ */
+function formatSpeedSummary(speed) {
+    return [
+        speed.tokensPerSecond ? `${speed.tokensPerSecond.p50} t/s median (p95 ${speed.tokensPerSecond.p95})` : null,
+        speed.ttft ? `first token ${formatLatency(speed.ttft.p50)} (p95 ${formatLatency(speed.ttft.p95)})` : null,
+        `total ${formatLatency(speed.duration.p50)} (p95 ${formatLatency(speed.duration.p95)})`,
+        `${speed.count} timed`,
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Render the breakdown table for the selected dimension
+ */
+function renderBreakdownTable() {
+    const list = $('#token-usage-breakdown-list');
+    if (list.length === 0) return;
+
+    const dimension = String($('#token-usage-breakdown-dimension').val() || 'model');
+    const rows = getUsageBreakdown(dimension);
+    if (rows.length === 0) {
+        const empty = dimension === 'profile' ? 'No connection profile usage recorded yet'
+            : dimension === 'group' ? 'No group chat usage recorded yet'
+                : 'No usage recorded yet';
+        list.html(`<div style="font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.5; padding: 8px; text-align: center;">${empty}</div>`);
+        return;
+    }
+
+    const grandTotal = rows.reduce((sum, row) => sum + row.total, 0) || 1;
+    const speedByKey = dimension === 'model' || dimension === 'source'
+        ? Object.fromEntries(getSpeedStats({ dimension }).map(speed => [speed.key, speed]))
+        : {};
+    list.html(rows.map(row => {
+        const share = Math.round((row.total / grandTotal) * 100);
+        const color = dimension === 'model' ? getModelColor(row.key)
+            : dimension === 'feature' ? getFeatureColor(row.key)
+                : dimension === 'type' ? getTypeColor(row.key)
+                    : dimension === 'character' ? getCharacterColor(row.key)
+                        : dimension === 'group' ? getGroupColor(row.key)
+                            : 'var(--SmartThemeBodyColor)';
+        return `
+            <div class="token-usage-breakdown-row" title="${escapeHtml(row.key)}\n${formatNumberFull(row.input)} in, ${formatNumberFull(row.output)} out, ${row.messageCount} messages${row.failedCount ? `\n${row.failedCount} failed requests (${formatErrorRate(row.errorRate)} error rate), ${formatNumberFull(row.possiblyBilledInput)} input tokens possibly billed` : ''}${speedByKey[row.key] ? `\nSpeed: ${formatSpeedSummary(speedByKey[row.key])}` : ''}">
+                <span class="token-usage-breakdown-name" style="color: ${color};">${escapeHtml(row.label)}${row.failedCount ? ` <span class="token-usage-error-rate">⚠ ${formatErrorRate(row.errorRate)}</span>` : ''}</span>
+                <span class="token-usage-breakdown-tokens">${formatTokens(row.total)}</span>
+                <span class="token-usage-breakdown-share">${share}%</span>
+                <span class="token-usage-breakdown-cost">${row.cost === null ? '' : '$' + row.cost.toFixed(2)}</span>
+            </div>`;
+    }).join(''));
 }
 
+/**
+ * Render the most recent ledger records in the "Recent Generations" drawer
+ */
+function renderRecentGenerations() {
+    const list = $('#token-usage-recent-list');
+    if (list.length === 0) return;
+
+    const records = getUsageRecords({ limit: 30 });
+    if (records.length === 0) {
+        list.html('<div style="font-size: 10px; color: var(--SmartThemeBodyColor); opacity: 0.5; padding: 8px; text-align: center;">No generations recorded yet</div>');
+        return;
+    }
+
+    const timeFormat = new Intl.DateTimeFormat('en-US', { timeZone: EASTERN_TIMEZONE, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+    const rows = records.map(record => {
+        const model = record.modelId || 'unknown';
+        const shortModel = model.length > 22 ? model.substring(0, 19) + '...' : model;
+        const details = [
+            `Time: ${new Date(record.timestamp).toLocaleString()}`,
+            `Model: ${model}`,
+            `Source: ${formatSourceName(record.sourceId || 'unknown')}`,
+            record.profileName ? `Connection profile: ${record.profileName}` : null,
+            record.feature ? `Feature: ${record.feature}` : null,
+            `Type: ${record.type || 'unknown'}`,
+            `Chat: ${record.chatId || '(background)'}`,
+            record.characterName ? `Character: ${record.characterName}` : null,
+            record.groupId ? `Group: ${record.groupName || record.groupId}` : null,
+            record.personaId ? `Persona: ${record.personaName || record.personaId}` : null,
+            record.outcome ? `Swipe outcome: ${record.outcome}${record.outcome === 'discarded' ? ' (wasted)' : ''}` : null,
+            `Input: ${formatNumberFull(record.input)}${record.cacheRead || record.cacheWrite ? ` (cache ${formatNumberFull(record.cacheRead || 0)} read / ${formatNumberFull(record.cacheWrite || 0)} write)` : ''}`,
+            record.composition ? `Input by section: ${Object.entries(record.composition).sort((a, b) => b[1] - a[1]).map(([section, tokens]) => `${PROMPT_SECTIONS[section]?.label || section} ${formatNumberFull(tokens)}`).join(', ')}` : null,
+            `Output: ${formatNumberFull(record.output)}, reasoning: ${formatNumberFull(record.reasoning || 0)}`,
+            record.utilization !== undefined ? `Context used: ${Math.round(record.utilization * 100)}% of ${formatNumberFull(record.contextLength)} tokens` : null,
+            record.timing ? `Timing: ${record.timing.ttft !== null ? `first token ${formatLatency(record.timing.ttft)}, ` : ''}total ${formatLatency(record.timing.duration)}${record.timing.tokensPerSecond ? `, ${record.timing.tokensPerSecond} t/s` : ''}` : null,
+            record.backfilled
+                ? 'Backfilled from chat history (estimated, input is chat history only)'
+                : record.reported
+                ? `Provider-reported${record.estimate ? ` (local estimate: ${formatNumberFull(record.estimate.input)} in / ${formatNumberFull(record.estimate.output)} out)` : ''}`
+                : `Estimated by local tokenizer${record.calibration ? ` (calibrated ×${record.calibration.input.toFixed(2)} in / ×${record.calibration.output.toFixed(2)} out)` : ''}`,
+            record.status === 'failed' ? `FAILED: ${record.error}\nPossibly billed input: ${formatNumberFull(record.possiblyBilledInput || 0)} tokens${record.possiblyBilledCost ? ` ($${record.possiblyBilledCost.toFixed(4)})` : ''}` : null,
+            record.voided ? 'VOIDED - excluded from totals' : null,
+        ].filter(Boolean).join('\n');
+
+        return `
+            <div class="token-usage-record-row ${record.voided ? 'voided' : ''} ${record.status === 'failed' ? 'failed' : ''}" title="${escapeHtml(details)}">
+                <span class="token-usage-record-time">${timeFormat.format(new Date(record.timestamp))}</span>
+                <span class="token-usage-record-model" style="color: ${getModelColor(model)};">${escapeHtml(shortModel)}</span>
+                <span class="token-usage-record-type">${escapeHtml(record.type || '')}</span>
+                <span class="token-usage-record-tokens">${record.status === 'failed' ? `⚠ ${formatTokens(record.possiblyBilledInput || 0)}?` : `${formatTokens(record.input)} / ${formatTokens(record.output)}${record.reasoning ? ` / ${formatTokens(record.reasoning)}🧠` : ''}`}</span>
+                <span class="token-usage-record-cost">${record.cost > 0 ? '$' + record.cost.toFixed(4) : ''}</span>
+                <span class="token-usage-record-accuracy">${record.reported ? '✓' : '≈'}</span>
+                ${record.voided ? '<span class="token-usage-record-void-spacer"></span>' : `<button class="token-usage-record-void menu_button" data-id="${escapeHtml(record.id)}" title="Void this generation">✕</button>`}
+                ${record.composition ? `<div class="token-usage-record-composition">${renderCompositionBar(record.composition)}</div>` : ''}
+            </div>`;
+    });
+
+    list.html(rows.join(''));
+}
 
 /**
  * Create the floating compact miniview
@@ -2661,10 +6726,18 @@ function createMiniview() {
                     <span class="miniview-stat-label">Messages</span>
                     <span class="miniview-stat-value" id="miniview-messages">0</span>
                 </div>
+                <div class="miniview-stat-row miniview-stat-secondary" title="Share of messages counted from the provider's usage report (authoritative) rather than estimated locally">
+                    <span class="miniview-stat-label">✓ Reported</span>
+                    <span class="miniview-stat-value" id="miniview-reported">0%</span>
+                </div>
                 <div class="miniview-stat-row miniview-stat-cost">
                     <span class="miniview-stat-label">Cost</span>
                     <span class="miniview-stat-value" id="miniview-cost">$0.00</span>
                 </div>
+                <div class="miniview-stat-row miniview-live" id="miniview-live" style="display: none;">
+                    <span class="miniview-stat-label" id="miniview-live-label">⏳ Generating</span>
+                    <span class="miniview-stat-value" id="miniview-live-value"></span>
+                </div>
             </div>
             <div class="miniview-resize-handle" title="Drag to resize"></div>
         </div>
@@ -3098,13 +7171,7 @@ function updateMiniviewStats() {
         case 'session':
             data = stats.session;
             // Calculate session cost from per-model usage
-            if (settings.usage.session.models) {
-                for (const [mid, modelData] of Object.entries(settings.usage.session.models)) {
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    cost += calculateCost(mInput, mOutput, mid);
-                }
-            }
+            cost += calculateModelsCost(settings.usage.session.models);
             break;
 
         case 'hourly':
@@ -3116,46 +7183,175 @@ function updateMiniviewStats() {
                 output: hourData.output || 0,
                 total: hourData.total || 0,
                 reasoning: hourData.reasoning || 0,
-                messageCount: hourData.messageCount || 0
+                messageCount: hourData.messageCount || 0,
+                reportedCount: hourData.reportedCount || 0
             };
             // Calculate hourly cost from models
-            if (hourData.models) {
-                for (const [mid, modelData] of Object.entries(hourData.models)) {
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    cost += calculateCost(mInput, mOutput, mid);
-                }
-            }
+            cost += calculateModelsCost(hourData.models);
+            break;
+
+        case 'daily':
+            data = stats.today;
+            // Calculate today's cost
+            const todayKey = getDayKey(now);
+            const dayData = settings.usage.byDay?.[todayKey];
+            cost += calculateModelsCost(dayData?.models);
             break;
 
-        case 'daily':
-            data = stats.today;
-            // Calculate today's cost
-            const todayKey = getDayKey(now);
-            const dayData = settings.usage.byDay?.[todayKey];
-            if (dayData?.models) {
-                for (const [mid, modelData] of Object.entries(dayData.models)) {
-                    const mInput = typeof modelData === 'number' ? 0 : (modelData.input || 0);
-                    const mOutput = typeof modelData === 'number' ? 0 : (modelData.output || 0);
-                    cost += calculateCost(mInput, mOutput, mid);
-                }
-            }
-            break;
+        default:
+            data = stats.session;
+    }
+
+    // Update DOM
+    $('#miniview-total').text(formatTokens(data.total || 0));
+    $('#miniview-input').text(formatTokens(data.input || 0));
+    $('#miniview-output').text(formatTokens(data.output || 0));
+    $('#miniview-reasoning').text(formatTokens(data.reasoning || 0));
+    $('#miniview-messages').text(data.messageCount || 0);
+    $('#miniview-reported').text(`${getReportedShare(data).percent}%`);
+    $('#miniview-cost').text(`$${cost.toFixed(2)}`);
+}
+
+// Minimum time between live count updates while a reply streams
+const LIVE_STREAM_INTERVAL = 500;
+
+/**
+ * Running counts of the reply being streamed. Only the text added since the previous update is
+ * tokenized, so long replies don't get re-counted on every chunk.
+ * @type {{generationId: number, modelId: string|null, input: number, output: number, reasoning: number, outputLength: number, reasoningLength: number, timer: number|null, counting: boolean}|null}
+ */
+let liveStream = null;
+
+/**
+ * Schedule a live count update for a streaming generation (at most one per LIVE_STREAM_INTERVAL)
+ * @param {GenerationContext} generation
+ */
+function scheduleLiveStreamUpdate(generation) {
+    if (!liveStream || liveStream.generationId !== generation.id) {
+        if (liveStream?.timer) clearTimeout(liveStream.timer);
+        liveStream = {
+            generationId: generation.id,
+            modelId: generation.modelId,
+            input: 0,
+            output: 0,
+            reasoning: 0,
+            outputLength: 0,
+            reasoningLength: 0,
+            timer: null,
+            counting: false,
+        };
+        const state = liveStream;
+        generation.inputTokensPromise?.then(count => {
+            state.input = count;
+        });
+    }
+    if (liveStream.timer || liveStream.counting) return;
+
+    const state = liveStream;
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        updateLiveStream(state).catch(e => {
+            console.error('[Token Usage Tracker] Error updating live stream count:', e);
+        });
+    }, LIVE_STREAM_INTERVAL);
+}
+
+/**
+ * Count what the streaming processor has added since the last update and show it in the miniview
+ * @param {Object} state - The liveStream the update was scheduled for
+ */
+async function updateLiveStream(state) {
+    if (liveStream !== state || !streamingProcessor) return;
+
+    // Read both texts before awaiting - the processor keeps appending while we count
+    const output = String(streamingProcessor.result || '');
+    const reasoning = String(streamingProcessor.reasoningHandler?.reasoning || '');
+
+    state.counting = true;
+    try {
+        // A shorter text means the processor started over - count it from scratch
+        if (output.length < state.outputLength) {
+            state.output = 0;
+            state.outputLength = 0;
+        }
+        if (reasoning.length < state.reasoningLength) {
+            state.reasoning = 0;
+            state.reasoningLength = 0;
+        }
+        // Chunks are not memoized - they would only push reusable counts out of the cache
+        const countChunk = async (text) => text ? await getTokenCountAsync(text) : 0;
+        const [outputDelta, reasoningDelta] = await Promise.all([countChunk(output.slice(state.outputLength)), countChunk(reasoning.slice(state.reasoningLength))]);
+        state.output += outputDelta;
+        state.reasoning += reasoningDelta;
+        state.outputLength = output.length;
+        state.reasoningLength = reasoning.length;
+    } finally {
+        state.counting = false;
+    }
+
+    // The generation may have been recorded while we were counting
+    if (liveStream !== state) return;
+    renderLiveStreamRow('⏳ Generating', state.output, state.reasoning, state.modelId ? calculateCost(state.input, state.output, state.modelId) : 0);
+}
 
-        default:
-            data = stats.session;
+/**
+ * End the live count of a generation. The row keeps the recorded values of the finished reply;
+ * it is hidden if the request failed or the chat changed.
+ * @param {number|null} generationId - Generation that completed (null ends any live count)
+ * @param {Object|null} record - Ledger record of the completed generation
+ */
+function finishLiveStream(generationId, record) {
+    if (generationId !== null && liveStream?.generationId !== generationId) return;
+    if (liveStream?.timer) clearTimeout(liveStream.timer);
+    liveStream = null;
+
+    if (record && record.status !== 'failed') {
+        renderLiveStreamRow('✓ Last reply', record.output, record.reasoning, record.cost);
+    } else {
+        $('#miniview-live').hide();
     }
+}
 
-    // Update DOM
-    $('#miniview-total').text(formatTokens(data.total || 0));
-    $('#miniview-input').text(formatTokens(data.input || 0));
-    $('#miniview-output').text(formatTokens(data.output || 0));
-    $('#miniview-reasoning').text(formatTokens(data.reasoning || 0));
-    $('#miniview-messages').text(data.messageCount || 0);
-    $('#miniview-cost').text(`$${cost.toFixed(2)}`);
+/**
+ * Show output, reasoning and cost in the miniview's live row
+ * @param {string} label
+ * @param {number} output
+ * @param {number} reasoning
+ * @param {number} cost
+ */
+function renderLiveStreamRow(label, output, reasoning, cost) {
+    if (!miniviewElement) return;
+
+    $('#miniview-live-label').text(label);
+    $('#miniview-live-value').text(`${formatTokens(output)} out${reasoning ? ` · ${formatTokens(reasoning)} 🧠` : ''}${cost > 0 ? ` · $${cost.toFixed(4)}` : ''}`);
+    $('#miniview-live').show();
 }
 
 
+/**
+ * Show a model's tokenizer calibration factor and sample count in its grid row
+ * @param {JQuery} badge - .model-calibration element of the row
+ */
+function updateCalibrationBadge(badge) {
+    const modelId = String(badge.data('model'));
+    const calibration = getTokenizerCalibration(modelId, { includeUnready: true });
+    if (!calibration) {
+        badge.text('').attr('title', '');
+        return;
+    }
+
+    const active = calibration.samples >= CALIBRATION_MIN_SAMPLES;
+    badge.text(`×${calibration.input.toFixed(2)} (${calibration.samples})`);
+    badge.css('text-decoration', active ? '' : 'line-through');
+    badge.attr('title', [
+        `Tokenizer calibration from ${calibration.samples} provider-reported requests:`,
+        `input ×${calibration.input.toFixed(3)}, output ×${calibration.output.toFixed(3)} of the local estimate.`,
+        active
+            ? 'Applied to requests of this model that have no reported usage (stopped streams, text-completion backends).'
+            : `Applied once ${CALIBRATION_MIN_SAMPLES} samples have been collected.`,
+    ].join('\n'));
+}
+
 /**
  * Render the model colors grid with price inputs
  */
@@ -3175,14 +7371,19 @@ function renderModelColorsGrid() {
     const existingRows = grid.children('.model-config-row');
     if (existingRows.length === models.length) {
         // Assume same order check isn't needed for now, unlikely to change order rapidly
+        grid.find('.model-calibration').each(function () {
+            updateCalibrationBadge($(this));
+        });
         return;
     }
 
     grid.empty();
 
+    const settings = getSettings();
     for (const model of models) {
         const color = getModelColor(model);
         const prices = getModelPrice(model);
+        const autoContextLength = findOpenRouterModel(model)?.contextLength || null;
 
         const safeModel = escapeHtml(model);
         const row = $(`
@@ -3191,12 +7392,18 @@ function renderModelColorsGrid() {
                        class="model-color-picker"
                        style="width: 20px; height: 20px; padding: 0; border: none; cursor: pointer; flex-shrink: 0; border-radius: 4px;">
                 <span title="${safeModel}" style="font-size: 10px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: var(--SmartThemeBodyColor); flex: 1;">${safeModel}</span>
+                <span class="model-calibration" data-model="${safeModel}" style="font-size: 8px; color: var(--SmartThemeBodyColor); opacity: 0.6; flex-shrink: 0; cursor: help;"></span>
                 <span style="font-size: 8px; color: var(--SmartThemeBodyColor); opacity: 0.5; flex-shrink: 0;">Price</span>
                 <input type="number" class="price-input-in" data-model="${safeModel}" value="${prices.in || ''}" step="0.01" min="0" placeholder="In" title="Price per 1M input tokens" style="width: 28px; padding: 1px 2px; font-size: 8px; border-radius: 2px; border: 1px solid var(--SmartThemeBorderColor); background: var(--SmartThemeInputColor); color: var(--SmartThemeBodyColor); flex-shrink: 0;">
                 <input type="number" class="price-input-out" data-model="${safeModel}" value="${prices.out || ''}" step="0.01" min="0" placeholder="Out" title="Price per 1M output tokens" style="width: 28px; padding: 1px 2px; font-size: 8px; border-radius: 2px; border: 1px solid var(--SmartThemeBorderColor); background: var(--SmartThemeInputColor); color: var(--SmartThemeBodyColor); flex-shrink: 0;">
+                <input type="number" class="price-input-cache-read" data-model="${safeModel}" value="${prices.cacheRead ?? ''}" step="0.01" min="0" placeholder="CR" title="Price per 1M cache-read tokens (empty = input price)" style="width: 28px; padding: 1px 2px; font-size: 8px; border-radius: 2px; border: 1px solid var(--SmartThemeBorderColor); background: var(--SmartThemeInputColor); color: var(--SmartThemeBodyColor); flex-shrink: 0;">
+                <input type="number" class="price-input-cache-write" data-model="${safeModel}" value="${prices.cacheWrite ?? ''}" step="0.01" min="0" placeholder="CW" title="Price per 1M cache-write tokens (empty = input price)" style="width: 28px; padding: 1px 2px; font-size: 8px; border-radius: 2px; border: 1px solid var(--SmartThemeBorderColor); background: var(--SmartThemeInputColor); color: var(--SmartThemeBodyColor); flex-shrink: 0;">
+                <input type="number" class="context-length-input" data-model="${safeModel}" value="${settings.modelContextLengths[model] || ''}" step="1024" min="0" placeholder="${autoContextLength ? formatTokens(autoContextLength) : 'Ctx'}" title="Context window in tokens${autoContextLength ? ` (empty = ${formatNumberFull(autoContextLength)} from OpenRouter)` : ''}" style="width: 36px; padding: 1px 2px; font-size: 8px; border-radius: 2px; border: 1px solid var(--SmartThemeBorderColor); background: var(--SmartThemeInputColor); color: var(--SmartThemeBodyColor); flex-shrink: 0;">
             </div>
         `);
 
+        updateCalibrationBadge(row.find('.model-calibration'));
+
         // Color picker handler
         row.find('.model-color-picker').on('change', function () {
             setModelColor(String($(this).data('model')), String($(this).val()));
@@ -3209,16 +7416,23 @@ function renderModelColorsGrid() {
             const mId = model; // closure
             const pIn = row.find('.price-input-in').val();
             const pOut = row.find('.price-input-out').val();
-            setModelPrice(mId, pIn, pOut);
+            const pCacheRead = row.find('.price-input-cache-read').val();
+            const pCacheWrite = row.find('.price-input-cache-write').val();
+            setModelPrice(mId, pIn, pOut, pCacheRead, pCacheWrite);
             // Trigger UI update to recalc costs
             updateUIStats();
         };
 
-        row.find('input[type="number"]').on('input', function () {
+        row.find('input[type="number"]').not('.context-length-input').on('input', function () {
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(handlePriceChange, 500);
         });
 
+        // Context length applies to generations recorded from now on
+        row.find('.context-length-input').on('change', function () {
+            setModelContextLength(model, String($(this).val()));
+        });
+
         grid.append(row);
     }
 }
@@ -3277,6 +7491,14 @@ function createSettingsUI() {
                         <div style="display: inline-flex; background: var(--SmartThemeInputColor); border: 1px solid var(--SmartThemeBorderColor); border-radius: 6px; padding: 2px;">
                             <button class="token-usage-charttype-btn menu_button active" data-value="bar" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">📊 Bar</button>
                             <button class="token-usage-charttype-btn menu_button" data-value="line" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">📈 Line</button>
+                            <button class="token-usage-charttype-btn menu_button" data-value="speed" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;" title="Median output tokens per second">⚡ Speed</button>
+                        </div>
+                        <div style="display: inline-flex; background: var(--SmartThemeInputColor); border: 1px solid var(--SmartThemeBorderColor); border-radius: 6px; padding: 2px;" title="What the bar segments show">
+                            <button class="token-usage-stackby-btn menu_button active" data-value="model" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">Model</button>
+                            <button class="token-usage-stackby-btn menu_button" data-value="feature" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">Feature</button>
+                            <button class="token-usage-stackby-btn menu_button" data-value="type" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">Type</button>
+                            <button class="token-usage-stackby-btn menu_button" data-value="character" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">Character</button>
+                            <button class="token-usage-stackby-btn menu_button" data-value="group" style="padding: 3px 8px; font-size: 10px; border-radius: 4px;">Group</button>
                         </div>
                     </div>
 
@@ -3330,6 +7552,10 @@ function createSettingsUI() {
                                     <span style="font-size: 13px; font-weight: 600; color: var(--SmartThemeBodyColor);" id="token-usage-efficiency-permsg">0</span>
                                     <span style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;"> /msg</span>
                                 </div>
+                                <div title="Cache hit ratio: share of input tokens read from the prompt cache">
+                                    <span style="font-size: 13px; font-weight: 600; color: var(--SmartThemeBodyColor);" id="token-usage-efficiency-cache">0%</span>
+                                    <span style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;"> cached</span>
+                                </div>
                             </div>
                         </div>
                         <div style="background: var(--SmartThemeInputColor); border-radius: 6px; border: 1px solid var(--SmartThemeBorderColor); padding: 6px 10px;">
@@ -3343,6 +7569,10 @@ function createSettingsUI() {
                                     <span style="font-size: 13px; font-weight: 600; color: var(--SmartThemeBodyColor);" id="token-usage-efficiency-alltime-permsg">0</span>
                                     <span style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;"> /msg</span>
                                 </div>
+                                <div title="Cache hit ratio: share of input tokens read from the prompt cache">
+                                    <span style="font-size: 13px; font-weight: 600; color: var(--SmartThemeBodyColor);" id="token-usage-efficiency-alltime-cache">0%</span>
+                                    <span style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;"> cached</span>
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -3376,12 +7606,60 @@ function createSettingsUI() {
                                         <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;">Cost</div>
                                         <div style="font-size: 12px; color: var(--SmartThemeBodyColor);" id="token-usage-chat-cost">$0.00</div>
                                     </div>
+                                    <div title="Generations whose output was discarded: another swipe was kept, or the message was deleted">
+                                        <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;">Wasted</div>
+                                        <div style="font-size: 12px; color: var(--SmartThemeBodyColor);" id="token-usage-chat-wasted">0</div>
+                                    </div>
+                                    <div>
+                                        <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5;">Persona</div>
+                                        <div style="font-size: 12px; color: var(--SmartThemeBodyColor); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" id="token-usage-chat-persona">-</div>
+                                    </div>
                                 </div>
+                                <div style="margin-top: 6px; font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.6;" id="token-usage-chat-types"></div>
+                                <div style="margin-top: 6px;" id="token-usage-chat-composition" title="Where this chat's input tokens went"></div>
+                                <div style="margin-top: 6px;" id="token-usage-chat-utilization"></div>
                                 <div style="margin-top: 6px; font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.4;" id="token-usage-chat-id">No chat active</div>
                             </div>
                         </div>
                     </div>
 
+                    <!-- Breakdown by dimension (model, source, connection profile) -->
+                    <div class="inline-drawer" style="margin-bottom: 10px;">
+                        <div class="inline-drawer-toggle inline-drawer-header" style="padding: 4px 0 4px 8px;">
+                            <span style="font-size: 11px;">Breakdown</span>
+                            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                        </div>
+                        <div class="inline-drawer-content">
+                            <select id="token-usage-breakdown-dimension" class="text_pole" style="font-size: 11px; padding: 2px 4px; margin-bottom: 6px; width: auto;">
+                                ${Object.entries(BREAKDOWN_DIMENSIONS).map(([key, dim]) => `<option value="${key}">By ${dim.label}</option>`).join('')}
+                            </select>
+                            <div id="token-usage-breakdown-list" style="background: var(--SmartThemeInputColor); border-radius: 6px; border: 1px solid var(--SmartThemeBorderColor); padding: 4px 6px; max-height: 240px; overflow-y: auto;"></div>
+                        </div>
+                    </div>
+
+                    <!-- World Info leaderboard -->
+                    <div class="inline-drawer" style="margin-bottom: 10px;">
+                        <div class="inline-drawer-toggle inline-drawer-header" style="padding: 4px 0 4px 8px;">
+                            <span style="font-size: 11px;">World Info</span>
+                            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                        </div>
+                        <div class="inline-drawer-content">
+                            <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.5; margin-bottom: 4px;">Lorebook entries by total tokens injected into prompts (🔒 = always on)</div>
+                            <div id="token-usage-wi-list" style="background: var(--SmartThemeInputColor); border-radius: 6px; border: 1px solid var(--SmartThemeBorderColor); padding: 4px 6px; max-height: 240px; overflow-y: auto;"></div>
+                        </div>
+                    </div>
+
+                    <!-- Recent Generations (ledger) -->
+                    <div class="inline-drawer" style="margin-bottom: 10px;">
+                        <div class="inline-drawer-toggle inline-drawer-header" style="padding: 4px 0 4px 8px;">
+                            <span style="font-size: 11px;">Recent Generations</span>
+                            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                        </div>
+                        <div class="inline-drawer-content">
+                            <div id="token-usage-recent-list" style="background: var(--SmartThemeInputColor); border-radius: 6px; border: 1px solid var(--SmartThemeBorderColor); padding: 4px 6px; max-height: 240px; overflow-y: auto;"></div>
+                        </div>
+                    </div>
+
                     <!-- Config (Model Colors & Prices) -->
                     <div class="inline-drawer" style="margin-top: 10px;">
                         <div class="inline-drawer-toggle inline-drawer-header" style="padding: 4px 0 4px 8px;">
@@ -3389,6 +7667,38 @@ function createSettingsUI() {
                             <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
                         </div>
                         <div class="inline-drawer-content">
+                            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 6px; font-size: 10px; color: var(--SmartThemeBodyColor); margin-bottom: 6px;">
+                                <label class="checkbox_label" style="font-size: 10px;" title="Estimate the next request from a dry-run prompt build and show it next to the send button">
+                                    <input type="checkbox" id="token-usage-send-estimate-enabled" ${settings.sendEstimate.enabled ? 'checked' : ''}>
+                                    Send estimate
+                                </label>
+                                <label class="checkbox_label" style="font-size: 10px;" title="Rebuild the next prompt as a dry run after every chat or connection change. A dry run also runs World Info and other extensions' prompt hooks, which may make paid calls (e.g. vector retrieval). When off, the estimate follows the last request, and clicking it rebuilds the prompt.">
+                                    <input type="checkbox" id="token-usage-send-estimate-auto" ${settings.sendEstimate.autoRefresh ? 'checked' : ''}>
+                                    Rebuild on changes
+                                </label>
+                                <span style="opacity: 0.6;">Confirm above $</span>
+                                <input type="number" id="token-usage-confirm-cost" class="text_pole" value="${settings.sendEstimate.confirmCost || ''}" step="0.01" min="0" placeholder="off" title="Ask before sending a request that could cost more than this (input plus output at max tokens)" style="width: 50px; padding: 1px 4px; font-size: 10px;">
+                                <span style="opacity: 0.6;">or tokens</span>
+                                <input type="number" id="token-usage-confirm-tokens" class="text_pole" value="${settings.sendEstimate.confirmTokens || ''}" step="1000" min="0" placeholder="off" title="Ask before sending a request with more input plus max output tokens than this" style="width: 60px; padding: 1px 4px; font-size: 10px;">
+                            </div>
+                            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 6px; font-size: 10px; color: var(--SmartThemeBodyColor); margin-bottom: 6px;">
+                                <span style="opacity: 0.6;">Warn when a chat's last</span>
+                                <input type="number" id="token-usage-context-alert-window" class="text_pole" value="${settings.contextAlert.window || ''}" step="1" min="1" style="width: 40px; padding: 1px 4px; font-size: 10px;">
+                                <span style="opacity: 0.6;">requests all fill over</span>
+                                <input type="number" id="token-usage-context-alert-threshold" class="text_pole" value="${settings.contextAlert.threshold || ''}" step="5" min="0" max="100" placeholder="off" title="Percent of the model's context window (empty = never warn)" style="width: 40px; padding: 1px 4px; font-size: 10px;">
+                                <span style="opacity: 0.6;">% of the context window</span>
+                            </div>
+                            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 6px; font-size: 10px; color: var(--SmartThemeBodyColor); margin-bottom: 6px;">
+                                <div id="token-usage-backfill" class="menu_button" title="Estimate usage from the messages of every stored chat, for history from before the extension was installed. Days that already have usage are skipped." style="font-size: 10px; padding: 2px 6px; white-space: nowrap;">
+                                    <i class="fa-solid fa-clock-rotate-left"></i>&nbsp;Backfill from chat history
+                                </div>
+                                <span id="token-usage-backfill-status" style="opacity: 0.6;"></span>
+                                <div style="flex: 1;"></div>
+                                <label class="checkbox_label" style="font-size: 10px;" title="Show each reply's tokens and cost under its chat message">
+                                    <input type="checkbox" id="token-usage-message-badges" ${settings.messageBadges ? 'checked' : ''}>
+                                    Message badges
+                                </label>
+                            </div>
                             <div id="token-usage-model-colors-grid" style="display: grid; grid-template-columns: 1fr 1fr; gap: 4px;"></div>
                         </div>
                     </div>
@@ -3396,6 +7706,7 @@ function createSettingsUI() {
                     <!-- Controls -->
                     <div style="display: flex; align-items: center; gap: 8px; padding-left: 8px;">
                         <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.4;" id="token-usage-tokenizer">Tokenizer: ${stats.tokenizer || 'Unknown'}</div>
+                        <div style="font-size: 9px; color: var(--SmartThemeBodyColor); opacity: 0.4; cursor: help;" id="token-usage-accuracy" title="Provider-reported counts come from the API's usage report and are what you are billed for. Everything else is a local tokenizer estimate.">✓ 0% provider-reported</div>
                         <div style="flex: 1;"></div>
                         <div id="token-usage-reset-all" class="menu_button" title="Reset all stats" style="color: var(--SmartThemeBodyColor); opacity: 0.8; font-size: 11px; white-space: nowrap;">
                             <i class="fa-solid fa-trash"></i>&nbsp;Reset All
@@ -3465,11 +7776,93 @@ function createSettingsUI() {
         });
     });
 
+    // Stack-by button handlers
+    document.querySelectorAll('.token-usage-stackby-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.classList.contains('disabled')) return;
+            currentStackBy = btn.getAttribute('data-value');
+            updateStackByButtons();
+            renderChartByType();
+        });
+    });
+
     // Source filter dropdown handler
     $('#token-usage-source-filter').on('change', function () {
         updateSourceFilter($(this).val());
     });
 
+    $('#token-usage-breakdown-dimension').on('change', function () {
+        renderBreakdownTable();
+    });
+
+    // Void a ledger record from the recent generations list
+    $('#token-usage-recent-list').on('click', '.token-usage-record-void', function () {
+        const recordId = String($(this).data('id'));
+        if (confirm('Void this generation? Its tokens will be removed from all totals.')) {
+            voidUsageRecord(recordId);
+            toastr.info('Generation voided');
+        }
+    });
+
+    // Pre-send estimate and confirmation thresholds
+    $('#token-usage-send-estimate-enabled').on('change', function () {
+        getSettings().sendEstimate.enabled = $(this).is(':checked');
+        saveSettings();
+        scheduleSendEstimate();
+        renderSendEstimate();
+    });
+    $('#token-usage-send-estimate-auto').on('change', function () {
+        getSettings().sendEstimate.autoRefresh = $(this).is(':checked');
+        saveSettings();
+        scheduleSendEstimate();
+    });
+    $('#token-usage-confirm-cost, #token-usage-confirm-tokens').on('input', function () {
+        const sendEstimateSettings = getSettings().sendEstimate;
+        sendEstimateSettings.confirmCost = Math.max(0, parseFloat(String($('#token-usage-confirm-cost').val())) || 0);
+        sendEstimateSettings.confirmTokens = Math.max(0, parseInt(String($('#token-usage-confirm-tokens').val())) || 0);
+        saveSettings();
+        renderSendEstimate();
+    });
+
+    // Context window alert
+    $('#token-usage-context-alert-window, #token-usage-context-alert-threshold').on('input', function () {
+        const contextAlert = getSettings().contextAlert;
+        contextAlert.window = Math.max(1, parseInt(String($('#token-usage-context-alert-window').val())) || defaultSettings.contextAlert.window);
+        contextAlert.threshold = Math.min(100, Math.max(0, parseFloat(String($('#token-usage-context-alert-threshold').val())) || 0));
+        saveSettings();
+        updateChatUsageDisplay();
+    });
+
+    $('#token-usage-message-badges').on('change', function () {
+        getSettings().messageBadges = $(this).is(':checked');
+        saveSettings();
+        updateMessageBadges();
+    });
+
+    // Backfill from stored chats
+    $('#token-usage-backfill').on('click', async function () {
+        const button = $(this);
+        if (button.hasClass('disabled')) return;
+        const status = $('#token-usage-backfill-status');
+        button.addClass('disabled');
+        status.text('Reading chats...');
+        try {
+            const result = await backfillUsageFromChats({
+                onProgress: (done, total) => status.text(`Reading chats... ${done}/${total}`),
+            });
+            status.text(result.applied
+                ? `Added ${formatNumberFull(result.records)} generations, skipped ${formatNumberFull(result.skippedLive)} on days with usage`
+                : result.records === 0 ? `Nothing to backfill (${formatNumberFull(result.skippedLive)} generations on days with usage)` : 'Cancelled');
+            if (result.failedChats > 0) toastr.warning(`${result.failedChats} chats could not be read`);
+        } catch (e) {
+            console.error('[Token Usage Tracker] Error backfilling from chat history:', e);
+            status.text('');
+            toastr.error(`Backfill failed: ${e.message}`);
+        } finally {
+            button.removeClass('disabled');
+        }
+    });
+
     $('#token-usage-reset-all').on('click', function () {
         if (confirm('Are you sure you want to reset ALL token usage data? This cannot be undone.')) {
             resetAllUsage();
@@ -3487,7 +7880,8 @@ function createSettingsUI() {
     // Create miniview (will show if pinned)
     createMiniview();
 
-    // Subscribe to updates
+    // Subscribe to updates (speed summaries are dropped first so the refresh recomputes them)
+    eventSource.on('tokenUsageUpdated', () => speedCache.clear());
     eventSource.on('tokenUsageUpdated', updateUIStats);
 
     setTimeout(updateUIStats, 0);
@@ -3525,64 +7919,72 @@ function createSettingsUI() {
 
 /**
  * Set up tracking for background generations:
- * - Quiet generations (Summarize, Expressions, etc.) via event listeners
+ * - generateQuietPrompt / generateRaw called through SillyTavern.getContext() via function wrapping
+ * - Other quiet generations (Summarize, Expressions, etc.) via event listeners
  * - ConnectionManagerRequestService.sendRequest (Roadway, Scratch Pad, etc.) via function wrapping
  */
-let isTrackingBackground = false;
 let resizeAbortController = null;
 
 function patchBackgroundGenerations() {
+    patchFetchForReportedUsage();
     registerQuietGenerationListeners();
+    patchContextGenerators();
     patchConnectionManager();
 }
 
 function registerQuietGenerationListeners() {
     // For quiet generations (Guided Generations, Summarize, Expressions, etc.),
-    // MESSAGE_RECEIVED doesn't fire. Flush pending tokens on next generation or chat change.
+    // MESSAGE_RECEIVED doesn't fire. Flush pending quiet generations on next generation or chat change.
     // IMPORTANT: These handlers must be non-blocking to avoid freezing the UI
     eventSource.on(event_types.GENERATION_STARTED, (type, params, dryRun) => {
-        if (dryRun) return;
-        if (isQuietGeneration && pendingInputTokensPromise) {
-            // Schedule flush but don't await - prevents blocking the generation
-            flushQuietGeneration().catch(e => {
-                console.error('[Token Usage Tracker] Error flushing quiet generation:', e);
-            });
-        }
+        // Quiet generations may overlap each other, so only a chat-facing generation flushes them
+        if (dryRun || type === 'quiet') return;
+        // Schedule flush but don't await - prevents blocking the generation
+        flushQuietGenerations().catch(e => {
+            console.error('[Token Usage Tracker] Error flushing quiet generation:', e);
+        });
     });
 
     eventSource.on(event_types.CHAT_CHANGED, () => {
-        if (isQuietGeneration && pendingInputTokensPromise) {
-            // Schedule flush but don't await - prevents blocking UI
-            flushQuietGeneration().catch(e => {
-                console.error('[Token Usage Tracker] Error flushing quiet generation on chat change:', e);
-            });
-        }
+        // Schedule flush but don't await - prevents blocking UI
+        flushQuietGenerations().catch(e => {
+            console.error('[Token Usage Tracker] Error flushing quiet generation on chat change:', e);
+        });
     });
 
     // Eagerly capture streamingProcessor.result when a quiet generation stops,
     // before the reference can be overwritten by a subsequent generation.
     eventSource.on(event_types.GENERATION_STOPPED, () => {
-        if (isQuietGeneration && pendingInputTokensPromise && streamingProcessor?.result) {
-            pendingQuietOutput = streamingProcessor.result;
+        const generation = findActiveGeneration(g => g.type === 'quiet', { newest: true });
+        if (generation && !generation.quietOutput && streamingProcessor?.result) {
+            generation.quietOutput = streamingProcessor.result;
         }
     });
 }
 
+/**
+ * Flush every quiet generation that has sent its prompt
+ * @returns {Promise<void>}
+ */
+async function flushQuietGenerations() {
+    const pending = [...activeGenerations.values()].filter(g => g.type === 'quiet' && g.inputTokensPromise && !g.claimed);
+    await Promise.all(pending.map(flushQuietGeneration));
+}
+
 /**
  * Flush a pending quiet generation, recording tokens from what we have
+ * @param {GenerationContext} generation
  */
-async function flushQuietGeneration() {
-    if (!pendingInputTokensPromise) return;
+async function flushQuietGeneration(generation) {
+    if (!activeGenerations.delete(generation.id)) return;
 
     // Capture output synchronously before any await, so we read the correct
     // streamingProcessor state (it may be overwritten by the next generation).
-    const capturedOutput = pendingQuietOutput || streamingProcessor?.result || null;
-    pendingQuietOutput = null;
+    const capturedOutput = generation.quietOutput || streamingProcessor?.result || null;
 
     try {
-        const inputTokens = await pendingInputTokensPromise;
-        const modelId = pendingModelId;
-        const sourceId = pendingSourceId;
+        const estimatedInputTokens = await generation.inputTokensPromise;
+        const { modelId, sourceId } = generation;
 
         // Count output tokens from the captured result
         let outputTokens = 0;
@@ -3590,41 +7992,48 @@ async function flushQuietGeneration() {
             outputTokens = await countTokens(capturedOutput);
         }
 
+        const estimate = { input: estimatedInputTokens, output: outputTokens, reasoning: 0 };
+        const usage = resolveUsage(estimate, await awaitReportedUsage(generation.reportedUsagePromise), modelId);
+
         // Record the usage
-        if (inputTokens > 0 || outputTokens > 0) {
-            recordUsage(inputTokens, outputTokens, null, modelId, sourceId);
+        if (usage.input > 0 || usage.output > 0) {
+            recordUsage(usage.input, usage.output, null, modelId, sourceId, usage.reasoning, { reported: usage.reported, estimate, cacheRead: usage.cacheRead, cacheWrite: usage.cacheWrite, calibration: usage.calibration, type: 'quiet', profileId: generation.profileId, profileName: generation.profileName, personaId: generation.personaId, personaName: generation.personaName, composition: await generation.compositionPromise, worldInfo: await generation.worldInfoPromise, feature: generation.feature });
         }
     } catch (e) {
         console.error('[Token Usage Tracker] Error flushing quiet generation:', e);
-    } finally {
-        // Reset state
-        pendingInputTokensPromise = null;
-        pendingModelId = null;
-        pendingSourceId = null;
-        isQuietGeneration = false;
     }
 }
 
 /**
  * Flush pending quiet usage immediately, optionally with caller-provided output text.
+ * The caller's output is attributed to the most recent quiet generation.
  * Returns false when no quiet usage is pending.
  * @param {string} [outputText]
  * @returns {Promise<boolean>}
  */
 async function flushPendingQuietGeneration(outputText = '') {
-    if (!isQuietGeneration || !pendingInputTokensPromise) return false;
+    const generation = findActiveGeneration(g => g.type === 'quiet' && !g.claimed, { newest: true });
+    if (!generation) return false;
 
     if (typeof outputText === 'string' && outputText.length > 0) {
-        pendingQuietOutput = outputText;
+        generation.quietOutput = outputText;
     }
 
-    await flushQuietGeneration();
+    await flushQuietGeneration(generation);
     return true;
 }
 
 /** Unique symbol to mark sendRequest as patched by this extension. */
 const TOKEN_USAGE_PATCHED = Symbol.for('tokenUsageTrackerPatched');
 
+/**
+ * Number of tracked background calls currently inside the original function's synchronous dispatch.
+ * A call arriving while this is non-zero was made by the request being dispatched (nested) and is
+ * already counted by it; calls made in parallel by other code start outside of it and are each tracked,
+ * even when they send the same prompt.
+ */
+let backgroundDispatchDepth = 0;
+
 function patchConnectionManager() {
     // Try immediately — Connection Manager may already be loaded
     if (tryPatchSendRequest()) return;
@@ -3654,46 +8063,63 @@ function tryPatchSendRequest() {
         const originalSendRequest = ServiceClass.sendRequest.bind(ServiceClass);
 
         ServiceClass.sendRequest = async function (profileId, messages, maxTokens, custom, overridePayload) {
-            if (isTrackingBackground) {
+            // Nested call made by a request that is already being tracked - avoid double counting
+            if (backgroundDispatchDepth > 0) {
                 return await originalSendRequest(profileId, messages, maxTokens, custom, overridePayload);
             }
 
+            // Each call keeps its own counts, so parallel requests are all recorded
             let inputTokens = 0;
-            // Best-effort: captures the globally-selected model/source at call time.
-            // May not reflect the actual model used if the extension overrides it.
-            const modelId = getCurrentModelId();
-            const sourceId = getCurrentSourceId();
+            // Record the model/source of the profile the request is sent with; fall back to the
+            // globally-selected API if the profile can't be resolved
+            const profile = getConnectionProfileInfo(profileId);
+            const modelId = profile?.modelId || getCurrentModelId();
+            const sourceId = profile?.sourceId || getCurrentSourceId();
+            const feature = getCallerFeature();
+
+            const reportedUsagePromise = expectReportedUsage(messages, {
+                onFailure: (failure) => {
+                    recordHealthError(failure.message);
+                    recordUsage(inputTokens, 0, null, modelId, sourceId, 0, { type: 'background', profileId: profile?.profileId, profileName: profile?.profileName, feature, failure });
+                },
+            });
 
             try {
-                isTrackingBackground = true;
+                inputTokens = await countInputTokens({ prompt: messages }, { modelId, sourceId });
+            } catch (e) {
+                console.error('[Token Usage Tracker] Error counting sendRequest input:', e);
+            }
 
-                try {
-                    inputTokens = await countInputTokens({ prompt: messages });
-                } catch (e) {
-                    console.error('[Token Usage Tracker] Error counting sendRequest input:', e);
-                }
+            let requestPromise;
+            const startedAt = Date.now();
+            backgroundDispatchDepth++;
+            try {
+                requestPromise = originalSendRequest(profileId, messages, maxTokens, custom, overridePayload);
+            } finally {
+                backgroundDispatchDepth--;
+            }
+            const result = await requestPromise;
+            const timing = { startedAt, firstTokenAt: null, finishedAt: Date.now() };
 
-                const result = await originalSendRequest(profileId, messages, maxTokens, custom, overridePayload);
+            try {
+                let outputTokens = 0;
+                if (result && typeof result.content === 'string') {
+                    outputTokens = await countTokens(result.content);
+                } else if (typeof result === 'string') {
+                    outputTokens = await countTokens(result);
+                }
 
-                try {
-                    let outputTokens = 0;
-                    if (result && typeof result.content === 'string') {
-                        outputTokens = await countTokens(result.content);
-                    } else if (typeof result === 'string') {
-                        outputTokens = await countTokens(result);
-                    }
+                const estimate = { input: inputTokens, output: outputTokens, reasoning: 0 };
+                const usage = resolveUsage(estimate, await awaitReportedUsage(reportedUsagePromise), modelId);
 
-                    if (outputTokens > 0 || inputTokens > 0) {
-                        recordUsage(inputTokens, outputTokens, null, modelId, sourceId);
-                    }
-                } catch (e) {
-                    console.error('[Token Usage Tracker] Error counting sendRequest output:', e);
+                if (usage.output > 0 || usage.input > 0) {
+                    recordUsage(usage.input, usage.output, null, modelId, sourceId, usage.reasoning, { reported: usage.reported, estimate, cacheRead: usage.cacheRead, cacheWrite: usage.cacheWrite, calibration: usage.calibration, type: 'background', profileId: profile?.profileId, profileName: profile?.profileName, feature, timing });
                 }
-
-                return result;
-            } finally {
-                isTrackingBackground = false;
+            } catch (e) {
+                console.error('[Token Usage Tracker] Error counting sendRequest output:', e);
             }
+
+            return result;
         };
 
         ServiceClass.sendRequest[TOKEN_USAGE_PATCHED] = true;
@@ -3705,55 +8131,357 @@ function tryPatchSendRequest() {
     }
 }
 
+/** Backend endpoints whose responses may carry provider-reported usage */
+const GENERATION_ENDPOINTS = [
+    '/api/backends/chat-completions/generate',
+    '/api/backends/text-completions/generate',
+    '/api/backends/kobold/generate',
+    '/api/novelai/generate',
+];
+
+/**
+ * Find the waiter whose prompt matches an outgoing generation request body
+ * @param {*} body - Fetch request body
+ * @returns {Object|null} The claimed waiter, or null if the request isn't one we track
+ */
+function claimReportedUsageWaiter(body) {
+    if (typeof body !== 'string') return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (e) {
+        return null;
+    }
+
+    const fingerprint = getPromptFingerprint(payload?.messages ?? payload?.prompt);
+    if (!fingerprint) return null;
+
+    const waiter = reportedUsageWaiters.find(w => !w.claimed && w.fingerprint === fingerprint);
+    if (waiter) waiter.claimed = true;
+    return waiter || null;
+}
+
+/**
+ * Read a readable error message from a failed generation response
+ * @param {Response} response - Cloned fetch response
+ * @returns {Promise<string>}
+ */
+async function readErrorMessage(response) {
+    const text = await response.text();
+    let message = text;
+    try {
+        const body = JSON.parse(text);
+        message = body?.error?.message || body?.message || (typeof body?.error === 'string' ? body.error : '') || text;
+    } catch (e) {
+        // Not JSON - use the raw text
+    }
+    message = String(message || response.statusText || 'Request failed').replace(/\s+/g, ' ').trim();
+    return `HTTP ${response.status}: ${message.slice(0, 300)}`;
+}
+
+/**
+ * Pass a failed request to the waiter's failure handler
+ * @param {Object} waiter - Reported-usage waiter the request was matched to
+ * @param {{status: number|null, message: string}} failure
+ */
+function reportRequestFailure(waiter, failure) {
+    try {
+        waiter.onFailure?.(failure);
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error handling failed request:', e);
+    }
+}
+
+/** Whether the warning about a generation request nothing tracks has been logged */
+let warnedUntrackedRequest = false;
+
+/**
+ * Wrap window.fetch so generation responses can be inspected for provider-reported usage.
+ * The response is cloned and read in the background; the caller gets the original untouched.
+ */
+function patchFetchForReportedUsage() {
+    if (window.fetch[TOKEN_USAGE_PATCHED]) return;
+
+    const originalFetch = window.fetch;
+
+    const patchedFetch = async function (input, init) {
+        const url = typeof input === 'string' ? input : (input?.url || String(input));
+        const isGeneration = GENERATION_ENDPOINTS.some(endpoint => url.includes(endpoint));
+        const waiter = isGeneration && reportedUsageWaiters.length > 0 ? claimReportedUsageWaiter(init?.body) : null;
+
+        if (!waiter) {
+            if (isGeneration && !warnedUntrackedRequest) {
+                warnedUntrackedRequest = true;
+                console.warn(`[Token Usage Tracker] A generation request to ${url} matched no tracked call (e.g. generateRaw imported from script.js instead of taken from SillyTavern.getContext()); its usage may not be recorded`);
+            }
+            return originalFetch.call(this, input, init);
+        }
+
+        let response;
+        try {
+            response = await originalFetch.call(this, input, init);
+        } catch (error) {
+            settleReportedUsageWaiter(waiter, null);
+            // Aborts are the stop button, not failures
+            if (error?.name !== 'AbortError') reportRequestFailure(waiter, { status: null, message: error?.message || String(error) });
+            throw error;
+        }
+
+        if (!response.ok) {
+            settleReportedUsageWaiter(waiter, null);
+            readErrorMessage(response.clone())
+                .then(message => reportRequestFailure(waiter, { status: response.status, message }))
+                .catch(() => reportRequestFailure(waiter, { status: response.status, message: response.statusText || 'Request failed' }));
+            return response;
+        }
+
+        readReportedUsage(response.clone())
+            .then(usage => settleReportedUsageWaiter(waiter, usage))
+            .catch(() => settleReportedUsageWaiter(waiter, null));
+
+        return response;
+    };
+
+    patchedFetch[TOKEN_USAGE_PATCHED] = true;
+    window.fetch = patchedFetch;
+    console.log('[Token Usage Tracker] Watching generation responses for provider-reported usage');
+}
+
 /**
- * Generic handler for background generations with recursion guard
+ * Generic handler for background generations with recursion guard.
+ * Usage is recorded as soon as the wrapped call completes.
+ * @param {Function} originalFn - Function being wrapped
+ * @param {*} context - `this` for the original call
+ * @param {Array} args - Call arguments
+ * @param {function(): Promise<number>} inputCounter - Counts input tokens when no event-tracked generation is claimed
+ * @param {function(*): Promise<number>} outputCounter - Counts output tokens of the result
+ * @param {Object} [options]
+ * @param {string} [options.type] - Generation type to record
+ * @param {string|Array} [options.prompt] - Prompt being sent, to pick up the provider-reported usage
+ * @param {function(GenerationContext): boolean} [options.claimGeneration] - Matches the event-tracked generation
+ *   this call starts; its full-prompt input count is used and it is not flushed separately
  */
-async function handleBackgroundGeneration(originalFn, context, args, inputCounter, outputCounter) {
+async function handleBackgroundGeneration(originalFn, context, args, inputCounter, outputCounter, { type = 'background', prompt = null, claimGeneration = null } = {}) {
     // Avoid double counting if one patched function calls another
-    if (isTrackingBackground) {
+    if (backgroundDispatchDepth > 0) {
         return await originalFn.apply(context, args);
     }
 
-    let result;
-    let inputTokens = 0;
+    const claim = claimGeneration ? { matches: claimGeneration, generation: null } : null;
+    if (claim) generationClaims.add(claim);
     const modelId = getCurrentModelId();
     const sourceId = getCurrentSourceId();
+    const feature = getCallerFeature();
+    // A failure is recorded on the claimed generation if there is one, otherwise here
+    const reportedUsagePromise = prompt ? expectReportedUsage(prompt, {
+        onFailure: async (failure) => {
+            if (claim?.generation) {
+                await handleGenerationFailed(claim.generation, failure);
+                return;
+            }
+            recordHealthError(failure.message);
+            let inputTokens = 0;
+            try {
+                inputTokens = await inputCounter();
+            } catch (e) {
+                console.error('[Token Usage Tracker] Error counting failed background input:', e);
+            }
+            recordUsage(inputTokens, 0, null, modelId, sourceId, 0, { type, feature, failure });
+        },
+    }) : null;
+
+    let result;
+    const startedAt = Date.now();
+    let finishedAt;
+    try {
+        let resultPromise;
+        backgroundDispatchDepth++;
+        try {
+            resultPromise = originalFn.apply(context, args);
+        } finally {
+            backgroundDispatchDepth--;
+        }
+        result = await resultPromise;
+        finishedAt = Date.now();
+    } catch (e) {
+        // Failed call - let the quiet listeners flush the claimed generation like any other
+        if (claim?.generation) claim.generation.claimed = false;
+        throw e;
+    } finally {
+        if (claim) generationClaims.delete(claim);
+    }
 
     try {
-        isTrackingBackground = true;
+        // The claimed generation already counted the full prompt it sent
+        const generation = claim?.generation ?? null;
+        if (generation) activeGenerations.delete(generation.id);
+        // The claimed generation knows when its prompt actually went out
+        const timing = { startedAt: generation?.requestStartedAt || startedAt, firstTokenAt: generation?.firstTokenAt ?? null, finishedAt };
 
-        // Count input tokens
+        let inputTokens = 0;
         try {
-            inputTokens = await inputCounter();
-            console.log(`[Token Usage Tracker] Counting background input. Tokens: ${inputTokens}`);
+            inputTokens = generation?.inputTokensPromise ? await generation.inputTokensPromise : await inputCounter();
         } catch (e) {
             console.error('[Token Usage Tracker] Error counting background input:', e);
         }
 
-        // Execute original
-        result = await originalFn.apply(context, args);
+        const outputTokens = await outputCounter(result);
+        const estimate = { input: inputTokens, output: outputTokens, reasoning: 0 };
+        const usage = resolveUsage(estimate, await awaitReportedUsage(generation?.reportedUsagePromise ?? reportedUsagePromise), generation?.modelId || modelId);
+
+        if (usage.output > 0 || usage.input > 0) {
+            recordUsage(usage.input, usage.output, null, generation?.modelId || modelId, generation?.sourceId || sourceId, usage.reasoning, {
+                reported: usage.reported,
+                estimate,
+                cacheRead: usage.cacheRead,
+                cacheWrite: usage.cacheWrite,
+                calibration: usage.calibration,
+                type,
+                profileId: generation?.profileId,
+                profileName: generation?.profileName,
+                personaId: generation?.personaId,
+                personaName: generation?.personaName,
+                composition: generation?.compositionPromise ? await generation.compositionPromise : null,
+                worldInfo: generation?.worldInfoPromise ? await generation.worldInfoPromise : null,
+                feature: feature || generation?.feature,
+                timing,
+            });
+            console.log(`[Token Usage Tracker] Background usage recorded (${type}): ${usage.input} in, ${usage.output} out`);
+        }
+    } catch (e) {
+        console.error('[Token Usage Tracker] Error counting background output:', e);
+    }
+
+    return result;
+}
+
+/**
+ * Count the input of a generateRaw call: its prompt plus the optional system prompt and prefill
+ * @param {string|Array} prompt - Text prompt or chat completion messages
+ * @param {string} [systemPrompt]
+ * @param {string} [prefill]
+ * @returns {Promise<number>}
+ */
+async function countRawPromptTokens(prompt, systemPrompt, prefill) {
+    let tokens = Array.isArray(prompt) ? await countInputTokens({ prompt }) : await countTokens(prompt);
+    if (typeof systemPrompt === 'string' && systemPrompt) tokens += await countTokens(systemPrompt);
+    if (typeof prefill === 'string' && prefill) tokens += await countTokens(prefill);
+    return tokens;
+}
+
+/**
+ * Count the text returned by a generation function
+ * @param {*} result - String result (or an object with a `content` string)
+ * @returns {Promise<number>}
+ */
+async function countResultTokens(result) {
+    if (typeof result === 'string') return await countTokens(result);
+    if (result && typeof result.content === 'string') return await countTokens(result.content);
+    return 0;
+}
+
+/**
+ * Wrap generateQuietPrompt: the quiet generation it starts is claimed and recorded on completion
+ * with its returned text as output
+ * @param {Function} original
+ * @returns {Function}
+ */
+function wrapGenerateQuietPrompt(original) {
+    return function (...args) {
+        // Newer versions take an options object, older ones positional arguments
+        const quietPrompt = args[0] && typeof args[0] === 'object' ? args[0].quietPrompt : args[0];
+        return handleBackgroundGeneration(original, this, args,
+            () => countTokens(typeof quietPrompt === 'string' ? quietPrompt : ''),
+            countResultTokens,
+            {
+                type: 'quiet',
+                claimGeneration: (generation) => generation.type === 'quiet' && (!quietPrompt || generation.quietPrompt === quietPrompt),
+            });
+    };
+}
+
+/**
+ * Wrap generateRaw: the prompt is counted directly since no chat context is built
+ * @param {Function} original
+ * @returns {Function}
+ */
+function wrapGenerateRaw(original) {
+    return function (...args) {
+        // Newer versions take an options object, older ones (prompt, api, instructOverride, quietToLoud, systemPrompt, ...)
+        const options = args[0] && typeof args[0] === 'object' && !Array.isArray(args[0])
+            ? args[0]
+            : { prompt: args[0], systemPrompt: args[4] };
+        return handleBackgroundGeneration(original, this, args,
+            () => countRawPromptTokens(options.prompt, options.systemPrompt, options.prefill),
+            countResultTokens,
+            { type: 'raw', prompt: options.prompt });
+    };
+}
+
+/**
+ * Wrapped generation functions keyed by the original, so every context object gets the same wrapper
+ * @type {WeakMap<Function, Function>}
+ */
+const wrappedContextGenerators = new WeakMap();
+
+/**
+ * Replace generateQuietPrompt and generateRaw on a context object with tracking wrappers
+ * @param {Object} context - Object returned by SillyTavern.getContext()
+ */
+function wrapContextGenerators(context) {
+    if (!context) return;
+
+    for (const [name, wrap] of [['generateQuietPrompt', wrapGenerateQuietPrompt], ['generateRaw', wrapGenerateRaw]]) {
+        const original = context[name];
+        if (typeof original !== 'function' || original[TOKEN_USAGE_PATCHED]) continue;
+
+        let wrapper = wrappedContextGenerators.get(original);
+        if (!wrapper) {
+            wrapper = wrap(original);
+            wrapper[TOKEN_USAGE_PATCHED] = true;
+            wrappedContextGenerators.set(original, wrapper);
+        }
+        context[name] = wrapper;
+    }
+}
+
+/**
+ * Wrap SillyTavern.getContext() so the generation functions it hands out are tracked.
+ * Functions imported directly from script.js (by built-in modules and some extensions) can't be
+ * wrapped: generateQuietPrompt still starts an event-tracked quiet generation, which the quiet
+ * listeners record, but a generateRaw imported that way emits no events and is not recorded.
+ * The fetch patch logs a warning the first time such a request goes out.
+ */
+function patchContextGenerators() {
+    const sillyTavern = window['SillyTavern'];
+    if (!sillyTavern || typeof sillyTavern.getContext !== 'function') {
+        console.warn('[Token Usage Tracker] SillyTavern.getContext not available — generateRaw/generateQuietPrompt will not be wrapped');
+        return;
+    }
+    if (sillyTavern.getContext[TOKEN_USAGE_PATCHED]) return;
 
-        // Count output tokens
+    const originalGetContext = sillyTavern.getContext;
+    const patchedGetContext = function (...args) {
+        const context = originalGetContext.apply(this, args);
         try {
-            const outputTokens = await outputCounter(result);
-            if (outputTokens > 0 || inputTokens > 0) {
-                recordUsage(inputTokens, outputTokens, null, modelId, sourceId);
-                console.log(`[Token Usage Tracker] Background usage recorded: ${inputTokens} in, ${outputTokens} out`);
-            }
+            wrapContextGenerators(context);
         } catch (e) {
-            console.error('[Token Usage Tracker] Error counting background output:', e);
+            console.error('[Token Usage Tracker] Error wrapping context generators:', e);
         }
-    } finally {
-        isTrackingBackground = false;
-    }
+        return context;
+    };
 
-    return result;
+    patchedGetContext[TOKEN_USAGE_PATCHED] = true;
+    sillyTavern.getContext = patchedGetContext;
+    console.log('[Token Usage Tracker] Wrapped generateQuietPrompt and generateRaw on SillyTavern.getContext()');
 }
 
 jQuery(async () => {
     console.log('[Token Usage Tracker] Initializing...');
 
     loadSettings();
+    await loadLedger();
     registerSlashCommands();
     createSettingsUI();
 
@@ -3780,6 +8508,50 @@ jQuery(async () => {
     eventSource.on(event_types.CHAT_CHANGED, handleChatChanged);
     eventSource.on(event_types.IMPERSONATE_READY, handleImpersonateReady);
 
+    // Activated World Info is located in the prompt to attribute its tokens
+    if (event_types.WORLD_INFO_ACTIVATED) {
+        eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => {
+            lastActivatedWorldInfo = Array.isArray(entries) ? entries : [];
+        });
+    }
+
+    // Streamed chunks time the first token and drive the live counter in the miniview
+    if (event_types.STREAM_TOKEN_RECEIVED) {
+        eventSource.on(event_types.STREAM_TOKEN_RECEIVED, handleStreamTokenReceived);
+    }
+
+    // A chat that keeps filling the context window gets a warning
+    eventSource.on('tokenUsageUpdated', checkContextAlert);
+
+    // An estimate belongs to the chat it was made in
+    eventSource.on(event_types.CHAT_CHANGED, clearSendEstimate);
+    // With automatic refresh on, the next request is re-estimated whenever the chat or the connection it goes to changes
+    for (const eventType of [event_types.CHAT_CHANGED, event_types.MESSAGE_RECEIVED, event_types.MESSAGE_DELETED, event_types.MESSAGE_EDITED, event_types.MESSAGE_SWIPED, event_types.GENERATION_STOPPED, event_types.MAIN_API_CHANGED, event_types.CHATCOMPLETION_MODEL_CHANGED, event_types.CONNECTION_PROFILE_LOADED]) {
+        if (eventType) eventSource.on(eventType, scheduleSendEstimate);
+    }
+    let draftTimer = null;
+    $(document).on('input', '#send_textarea', () => {
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(() => {
+            updateSendEstimateDraft().catch(e => {
+                console.error('[Token Usage Tracker] Error counting the draft message:', e);
+            });
+        }, 300);
+    });
+
+    // Usage badges on chat messages (a swipe shows the figures stored on that swipe)
+    if (event_types.CHARACTER_MESSAGE_RENDERED) {
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageIndex) => updateMessageBadges(Number(messageIndex)));
+    }
+    for (const eventType of [event_types.CHAT_CHANGED, event_types.MORE_MESSAGES_LOADED, event_types.MESSAGE_SWIPED, event_types.MESSAGE_DELETED, event_types.MESSAGE_UPDATED, event_types.MESSAGE_EDITED]) {
+        if (eventType) eventSource.on(eventType, scheduleMessageBadges);
+    }
+
+    // Swipes, deletions and new messages decide which paid generations were kept
+    for (const eventType of [event_types.MESSAGE_SWIPED, event_types.MESSAGE_DELETED, event_types.MESSAGE_SENT, event_types.CHAT_CHANGED]) {
+        if (eventType) eventSource.on(eventType, scheduleReconcileMessageOutcomes);
+    }
+
     // Log current tokenizer
     try {
         const { tokenizerName } = getFriendlyTokenizerName(main_api);